@@ -4,13 +4,49 @@ import {
   generateElement,
   isDeletionKey,
   findParentBlock,
+  findSublist,
   containsSelection,
   validateURL,
+  isURL,
+  isSafeURL,
+  isImageDataURL,
   collapseSelectionToRange,
+  debounce,
 } from './writeFreeLib.js';
 
+import { toMarkdown, fromMarkdown } from './markdown.js';
+import {
+  toJSON,
+  fromJSON,
+  blocksToSections,
+  mergeAdjacent,
+} from './documentJSON.js';
+import pastedHTMLToBlocks, { linkifyText } from './paste.js';
+import {
+  setCodeText,
+  getCodeSelection,
+  indentLines,
+} from './codeBlock.js';
+import {
+  markTags,
+  textNodesInRange,
+  findMark,
+  splitRange,
+  removeMark,
+} from './marks.js';
+import uploadFile, { imageFiles } from './upload.js';
+import findEmbed, { defaultEmbedProviders } from './embeds.js';
+import EventEmitter from './eventEmitter.js';
+import History from './history.js';
+import Messages, { messageLevels } from './messages.js';
+import Autosave from './autosave.js';
+import PluginAPI from './plugins.js';
+import InputRules from './inputRules.js';
+import Keymap from './keymap.js';
+import sanitize from './sanitizer.js';
 import editToolbar from './editToolbar.js';
 import insertToolbar from './insertToolbar.js';
+import imageToolbar, { defaultImageLayouts } from './imageToolbar.js';
 
 /*
 ########  ######## ########    ###    ##     ## ##       ########
@@ -41,6 +77,15 @@ export default {
   initWFEditor($ctn, options) {
     this.$ctn = $ctn;
     this.options = options;
+    this.events = Object.create(EventEmitter).initEmitter();
+    this.history = Object.create(History).init(this, this.options);
+    this.inputRules = Object.create(InputRules).init(this, this.options);
+    this.keymap = Object.create(Keymap).init(this, this.options);
+    this.messages = Object.create(Messages).init(this, this.options);
+    this.scheduleChange = debounce(this.checkForChange.bind(this), this.options.changeDelay);
+    // The state of each image upload, keyed by id (see uploadImage).
+    this.uploads = {};
+    this.uploadCount = 0;
     this.generateClasses();
     document.execCommand('defaultParagraphSeparator', false, this.options.divOrPar);
     this.$innerCtn = generateElement(
@@ -51,21 +96,92 @@ export default {
     this.$innerCtn.setAttribute('contenteditable', true);
     this.$ctn.append(this.$innerCtn);
     this.createFirstTextSection();
+    this.lastHTML = this.html();
 
-    this.editToolbar = editToolbar.init(this, this.options);
-    this.insertToolbar = insertToolbar.init(this, this.options);
+    // Each Editor gets its own toolbars so several can live on one page.
+    this.editToolbar = Object.create(editToolbar).init(this, this.options);
+    this.insertToolbar = Object.create(insertToolbar).init(this, this.options);
+    this.imageToolbar = Object.create(imageToolbar).init(this, this.options);
+    this.pluginAPI = Object.create(PluginAPI).init(this);
+    [].concat(this.options.plugins || []).forEach((plugin) => {
+      this.pluginAPI.use(plugin);
+    });
 
-    this.$ctn.addEventListener('paste', this.pasteHandler.bind(this));
-    this.$ctn.addEventListener('keydown', this.keydownHandler.bind(this));
-    this.$ctn.addEventListener('keyup', this.keyupHandler.bind(this));
-    this.$ctn.addEventListener('click', this.checkForInsert.bind(this));
-    this.$ctn.addEventListener('mouseup', this.positionCursor.bind(this));
+    this.domListeners = [];
+    this.listen(this.$ctn, 'paste', this.pasteHandler.bind(this));
+    this.listen(this.$ctn, 'drop', this.dropHandler.bind(this));
+    this.listen(this.$ctn, 'keydown', this.keydownHandler.bind(this));
+    this.listen(this.$ctn, 'keyup', this.keyupHandler.bind(this));
+    this.listen(this.$ctn, 'click', this.checkForInsert.bind(this));
+    this.listen(this.$ctn, 'click', this.imageClickHandler.bind(this));
+    this.listen(this.$ctn, 'mouseup', this.positionCursor.bind(this));
+    this.listen(this.$ctn, 'focusin', this.focusHandler.bind(this));
+    this.listen(this.$ctn, 'focusout', this.blurHandler.bind(this));
+    this.listen(this.$ctn, 'beforeinput', this.beforeInputHandler.bind(this));
     // must be added to document because of browsers.
-    document.addEventListener('selectionchange', this.selectionHandler.bind(this));
-    document.addEventListener('scroll', this.insertToolbar.hide.bind(this.insertToolbar));
+    this.listen(document, 'selectionchange', this.selectionHandler.bind(this));
+    this.listen(document, 'scroll', this.insertToolbar.hide.bind(this.insertToolbar));
+    this.listen(document, 'scroll', this.imageToolbar.hide.bind(this.imageToolbar));
+    if (this.options.autosave) {
+      this.autosave = Object.create(Autosave).init(this, this.options);
+    }
     return this;
   },
 
+  /**
+   * listen - Adds the given event listener to the given target and keeps track
+   *  of it so it can be removed when the Editor is destroyed.
+   *
+   * @param {EventTarget} target The target to listen on (e.g. this.$ctn).
+   * @param {string} type The type of event to listen for.
+   * @param {Function} handler The event listener.
+   *
+   * @returns {Function} Returns the handler.
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.domListeners.push({ target, type, handler });
+    return handler;
+  },
+
+  /**
+   * destroy - Tears down the Editor. Removes every event listener added by
+   *  the Editor, both toolbars, and the inner container, leaving $ctn as it
+   *  was before initialization. The Editor can't be used once destroyed.
+   *  A change still waiting out options.changeDelay is emitted first and,
+   *  with autosave, any unsaved changes are saved, so edits made just before
+   *  the editor is destroyed (e.g. as its page is unmounted) aren't lost.
+   *
+   * @returns {boolean} Returns true if the Editor was destroyed, or false if
+   *  it had already been destroyed.
+   */
+  destroy() {
+    if (this.destroyed) return false;
+    this.scheduleChange.cancel();
+    this.checkForChange();
+    if (this.autosave) {
+      this.autosave.flush();
+      this.autosave.destroy();
+    }
+    this.history.clear();
+    this.domListeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this.domListeners = [];
+    this.editToolbar.destroy();
+    this.insertToolbar.destroy();
+    this.imageToolbar.destroy();
+    this.messages.destroy();
+    if (this.$innerCtn.parentNode) {
+      this.$innerCtn.parentNode.removeChild(this.$innerCtn);
+    }
+    this.events.off();
+    this.prevSection = null;
+    this.prevSectionPrevSibling = null;
+    this.destroyed = true;
+    return true;
+  },
+
   generateClasses() {
     this.classes = {};
     this.innerCtnClass = 'wf__editor';
@@ -75,6 +191,15 @@ export default {
     }
     this.classes.textSection = 'wf__text-section';
     this.classes.containerSection = 'wf__container-section';
+    this.classes.listSection = 'wf__list-section';
+    this.classes.quoteSection = 'wf__quote-section';
+    this.classes.pullQuote = 'wf__pull-quote';
+    this.classes.codeSection = 'wf__code-section';
+    this.classes.uploadSection = 'wf__upload-section';
+    this.classes.caption = 'wf__caption';
+    this.classes.selectedImage = 'wf__selected-image';
+    this.classes.embedSection = 'wf__embed-section';
+    this.classes.blockSection = 'wf__block-section';
     return this.classes;
   },
 
@@ -105,7 +230,6 @@ export default {
     range.setEnd(this.$firstSection, 0);
     sel.removeAllRanges();
     sel.addRange(range);
-    window.first = this.$firstSection;
     return this.$firstSection;
   },
 
@@ -165,6 +289,470 @@ export default {
     return container;
   },
 
+  /**
+   * createHeadingSection - Creates a heading section styled according to the
+   *  heading options. Level 1 creates a large heading (H1); any other level
+   *  creates a small heading (H2).
+   *
+   * @param {number} [level=1] The level of the heading.
+   *
+   * @returns {Element} The newly-created heading.
+   */
+  createHeadingSection(level = 1) {
+    if (level === 1) {
+      return generateElement('h1', this.options.largeHeadingClass, { style: this.options.largeHeadingStyle });
+    }
+    return generateElement('h2', this.options.smallHeadingClass, { style: this.options.smallHeadingStyle });
+  },
+
+  /**
+   * createQuoteSection - Creates a quote section (a blockquote) styled
+   *  according to the quote options, or the pull quote options if it is a
+   *  pull quote.
+   *
+   * @param {boolean} [pull=false] If true, creates a pull quote.
+   *
+   * @returns {Element} The newly-created quote.
+   */
+  createQuoteSection(pull = false) {
+    if (pull) {
+      const klasses = [this.classes.quoteSection, this.classes.pullQuote]
+        .concat(this.options.pullQuoteClass);
+      return generateElement('blockquote', klasses, { style: this.options.pullQuoteStyle });
+    }
+    const klasses = [this.classes.quoteSection].concat(this.options.quoteClass);
+    return generateElement('blockquote', klasses, { style: this.options.quoteStyle });
+  },
+
+  /**
+   * createCodeSection - Creates a code block section (a pre holding a code
+   *  element) styled according to the code options. Its whitespace is kept
+   *  exactly.
+   *
+   * @param {string} [language=''] The language of the code, if known. It is
+   *  kept in the pre's data-language attribute.
+   *
+   * @returns {Element} The newly-created code block.
+   */
+  createCodeSection(language = '') {
+    const klasses = [this.classes.codeSection].concat(this.options.codeClass);
+    const $pre = generateElement('pre', klasses, { style: this.options.codeStyle });
+    if (language) $pre.setAttribute('data-language', language);
+    $pre.appendChild(document.createElement('code'));
+    return setCodeText($pre, '');
+  },
+
+  /**
+   * createImageSection - Creates a container section holding an image in a
+   *  figure, below which is its caption (see createCaption).
+   *
+   * @param {string} src The string to use for the img's src attribute.
+   * @param {string} alt The string to use for the img's alt attribute.
+   * @param {string} [caption=''] The text of the image's caption.
+   * @param {string} [layout='inset'] The name of the image's layout (see
+   *  imageLayouts).
+   *
+   * @returns {Element} The newly-created container.
+   */
+  createImageSection(src, alt, caption = '', layout = 'inset') {
+    const img = generateElement('img', this.options.imgClass, { src, alt, style: this.options.imgStyle });
+    const $figure = generateElement('figure', [], { style: { margin: '0' } });
+    $figure.appendChild(img);
+    $figure.appendChild(this.createCaption(caption));
+    const $section = this.createContainerSection($figure);
+    if (layout !== 'inset') this.applyImageLayout($section, layout);
+    return $section;
+  },
+
+  /**
+   * imageLayouts - Returns the image layouts, keyed by name (see
+   *  defaultImageLayouts in imageToolbar.js). Entries of options.imageLayouts
+   *  replace the default layouts of the same name.
+   *
+   * @returns {Object} The image layouts.
+   */
+  imageLayouts() {
+    return Object.assign({}, defaultImageLayouts, this.options.imageLayouts);
+  },
+
+  /**
+   * getImageLayout - Returns the name of the layout of the image in the given
+   *  container section, which is kept in its data-layout attribute.
+   *
+   * @param {Element} $section The image's container section.
+   *
+   * @returns {string} The name of the layout, 'inset' if it has none.
+   */
+  getImageLayout($section) {
+    return ($section && $section.getAttribute('data-layout')) || 'inset';
+  },
+
+  /**
+   * applyImageLayout - Gives the image in the given container section the
+   *  given layout, replacing the class and style of its current one.
+   *
+   * @param {Element} $section The image's container section.
+   * @param {string} layout The name of the layout (see imageLayouts).
+   *
+   * @returns {boolean} Returns true if the layout exists else false.
+   */
+  applyImageLayout($section, layout) {
+    const layouts = this.imageLayouts();
+    if (!layouts[layout]) return false;
+    const current = layouts[this.getImageLayout($section)];
+    if (current) {
+      [].concat(current.class || []).forEach((klass) => {
+        if (klass) $section.classList.remove(klass);
+      });
+    }
+    addClasses($section, [].concat(layouts[layout].class || []));
+    addStyleFromObj($section, Object.assign({}, this.options.sectionStyle, layouts[layout].style));
+    if (layout === 'inset') {
+      $section.removeAttribute('data-layout');
+    } else {
+      $section.setAttribute('data-layout', layout);
+    }
+    return true;
+  },
+
+  /**
+   * createCaption - Creates an image's caption (a figcaption) styled
+   *  according to the caption options. Captions are plain text and are the
+   *  only part of a container section the user can type in.
+   *
+   * @param {string} [text=''] The text of the caption.
+   *
+   * @returns {Element} The newly-created caption.
+   */
+  createCaption(text = '') {
+    const klasses = [this.classes.caption].concat(this.options.captionClass);
+    const $caption = generateElement('figcaption', klasses, { style: this.options.captionStyle });
+    $caption.textContent = text;
+    return $caption;
+  },
+
+  /**
+   * addMissingCaptions - Gives each image within the given element's
+   *  container sections a caption if it doesn't have one, wrapping it in a
+   *  figure if needed. Images saved without captions (see html) can then be
+   *  captioned once loaded.
+   *
+   * @param {Element} $root The element whose container sections to check,
+   *  e.g. the inner container.
+   *
+   */
+  addMissingCaptions($root) {
+    const $images = $root.querySelectorAll(`.${this.classes.containerSection}:not([data-block]) img`);
+    Array.from($images).forEach(($img) => {
+      let $figure = $img.parentNode;
+      if ($figure.tagName !== 'FIGURE') {
+        $figure = generateElement('figure', [], { style: { margin: '0' } });
+        $img.parentNode.replaceChild($figure, $img);
+        $figure.appendChild($img);
+      }
+      if (!$figure.querySelector('figcaption')) $figure.appendChild(this.createCaption());
+    });
+  },
+
+  /**
+   * findCaption - Finds the caption containing the given node, if any.
+   *
+   * @param {Node} node The node whose caption to find.
+   *
+   * @returns {Element || null} The caption, or null if the node isn't in one.
+   */
+  findCaption(node) {
+    const $el = node && node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+    if (!$el || typeof $el.closest !== 'function') return null;
+    const $caption = $el.closest('figcaption');
+    return $caption && this.$innerCtn.contains($caption) ? $caption : null;
+  },
+
+  /**
+   * createUploadSection - Creates a container section which stands in for an
+   *  image while it uploads, showing the upload's progress. Upload sections
+   *  aren't part of the editor's contents (see html).
+   *
+   * @param {string} id The id of the upload (see uploadImage), kept in the
+   *  section's data-upload attribute.
+   *
+   * @returns {Element} The newly-created container.
+   */
+  createUploadSection(id) {
+    const $progress = generateElement('progress', [], { max: 1, style: { width: '100%' } });
+    const $section = this.createContainerSection($progress);
+    $section.classList.add(this.classes.uploadSection);
+    $section.setAttribute('data-upload', id);
+    return $section;
+  },
+
+  /**
+   * embedProviders - Returns the embed providers, keyed by name (see
+   *  defaultEmbedProviders in embeds.js). Entries of options.embedProviders
+   *  replace the default providers of the same name and are tried after them;
+   *  an entry of false removes a default provider.
+   *
+   * @returns {Object} The embed providers.
+   */
+  embedProviders() {
+    return Object.assign({}, defaultEmbedProviders, this.options.embedProviders);
+  },
+
+  /**
+   * createEmbedSection - Creates a container section embedding the media at
+   *  the given URL through the first embed provider it matches (see
+   *  embedProviders). The media is shown in a sandboxed iframe, or a video
+   *  element for video providers. The URL and provider are kept in the
+   *  section's data-url and data-embed attributes, which are all html() keeps
+   *  of the embed.
+   *
+   * @param {string} url The URL of the media to embed.
+   *
+   * @returns {Element || null} The newly-created container, or null if no
+   *  provider matches the URL or the URL isn't one of options.allowedSchemes.
+   */
+  createEmbedSection(url) {
+    if (!isSafeURL(url, this.options.allowedSchemes)) return null;
+    const embed = findEmbed(url, this.embedProviders());
+    // The embedded URL comes from the provider, so is checked again.
+    if (!embed || !isSafeURL(embed.src, ['http', 'https'])) return null;
+    let $media = null;
+    if (embed.video) {
+      $media = generateElement('video', [], {
+        src: embed.src,
+        controls: '',
+        preload: 'metadata',
+        style: { display: 'block', width: '100%' },
+      });
+    } else {
+      $media = generateElement('div', [], {
+        style: {
+          position: 'relative',
+          height: '0',
+          'padding-bottom': `${embed.aspectRatio * 100}%`,
+        },
+      });
+      $media.appendChild(generateElement('iframe', [], {
+        src: embed.src,
+        title: embed.title,
+        sandbox: embed.sandbox,
+        allowfullscreen: '',
+        loading: 'lazy',
+        referrerpolicy: 'strict-origin-when-cross-origin',
+        style: {
+          position: 'absolute',
+          top: '0',
+          left: '0',
+          width: '100%',
+          height: '100%',
+          border: '0',
+        },
+      }));
+    }
+    const $section = this.createContainerSection($media);
+    $section.classList.add(this.classes.embedSection);
+    $section.setAttribute('data-embed', embed.provider);
+    $section.setAttribute('data-url', embed.url);
+    return $section;
+  },
+
+  /**
+   * rebuildEmbeds - Rebuilds the embeds within the given element from the
+   *  URLs html() keeps of them (see createEmbedSection), so no loaded iframe
+   *  is trusted. Embeds whose URLs no longer match a provider become text
+   *  sections holding their links.
+   *
+   * @param {Element} $root The element whose embeds to rebuild, e.g. the
+   *  inner container.
+   *
+   */
+  rebuildEmbeds($root) {
+    const $embeds = $root.querySelectorAll(`.${this.classes.containerSection}[data-url]`);
+    Array.from($embeds).forEach(($embed) => {
+      let $section = this.createEmbedSection($embed.getAttribute('data-url'));
+      if (!$section) {
+        $section = this.createTextSection();
+        while ($embed.firstChild) $section.appendChild($embed.firstChild);
+      }
+      $embed.parentNode.replaceChild($section, $embed);
+    });
+  },
+
+  /**
+   * isImageSection - Determines whether the given section is an image's
+   *  container section, rather than e.g. a custom block which shows an image
+   *  (see createBlockSection).
+   *
+   * @param {Element} $section The section to test.
+   *
+   * @returns {boolean} Returns true if the section holds an image else false.
+   */
+  isImageSection($section) {
+    return Boolean($section)
+      && $section.nodeType === Node.ELEMENT_NODE
+      && $section.classList.contains(this.classes.containerSection)
+      && !$section.hasAttribute('data-block')
+      && Boolean($section.querySelector('img'));
+  },
+
+  /**
+   * blockType - Finds the custom block type of the given name in
+   *  options.blockTypes.
+   *
+   * @param {string} name The name of the block type.
+   *
+   * @returns {Object || null} The block type, or null if there's none of that
+   *  name.
+   */
+  blockType(name) {
+    const types = this.options.blockTypes || {};
+    if (!Object.prototype.hasOwnProperty.call(types, name)) return null;
+    const type = types[name];
+    return type && typeof type.render === 'function' ? type : null;
+  },
+
+  /**
+   * createBlockSection - Creates a container section holding a custom block
+   *  of the given type (see options.blockTypes), rendered from the given
+   *  data. The user can't type in it. The block's type and its data,
+   *  serialized by the type's serialize function (JSON by default), are kept
+   *  in the section's data-block and data-block-data attributes, from which
+   *  load rebuilds it (see rebuildBlocks).
+   *
+   * @param {string} name The name of the block type.
+   * @param {*} data The block's data, which mustn't be null.
+   *
+   * @returns {Element || null} The newly-created container, or null if there's
+   *  no such block type or it couldn't render the data.
+   */
+  createBlockSection(name, data) {
+    const type = this.blockType(name);
+    if (!type || data === null || data === undefined) return null;
+    const serialized = typeof type.serialize === 'function' ? type.serialize(data) : JSON.stringify(data);
+    if (typeof serialized !== 'string') return null;
+    const $content = type.render(data, this);
+    if (!($content instanceof Element)) return null;
+    const $section = this.createContainerSection($content);
+    $section.classList.add(this.classes.blockSection);
+    $section.setAttribute('contenteditable', false);
+    $section.setAttribute('data-block', name);
+    $section.setAttribute('data-block-data', serialized);
+    return $section;
+  },
+
+  /**
+   * getBlockData - Returns the data of the custom block in the given
+   *  container section, parsed by its type's parse function (JSON by
+   *  default).
+   *
+   * @param {Element} $section The block's container section.
+   *
+   * @returns {* || null} The block's data, or null if its type is unknown or
+   *  its data can't be parsed.
+   */
+  getBlockData($section) {
+    const type = this.blockType($section.getAttribute('data-block'));
+    const serialized = $section.getAttribute('data-block-data');
+    if (!type || serialized === null) return null;
+    try {
+      const data = typeof type.parse === 'function' ? type.parse(serialized) : JSON.parse(serialized);
+      return data === undefined ? null : data;
+    } catch (exception) {
+      return null;
+    }
+  },
+
+  /**
+   * rebuildBlocks - Renders the custom blocks within the given element afresh
+   *  from their data (see createBlockSection), so nothing of a loaded block
+   *  but its data is trusted. Blocks of unknown types, or whose data can't be
+   *  parsed, are left as they are so their data isn't lost.
+   *
+   * @param {Element} $root The element whose blocks to rebuild, e.g. the inner
+   *  container.
+   *
+   */
+  rebuildBlocks($root) {
+    const $blocks = $root.querySelectorAll(`.${this.classes.containerSection}[data-block]`);
+    Array.from($blocks).forEach(($block) => {
+      const data = this.getBlockData($block);
+      const $section = data === null ? null : this.createBlockSection($block.getAttribute('data-block'), data);
+      if ($section) $block.parentNode.replaceChild($section, $block);
+    });
+  },
+
+  /**
+   * createLineSection - Creates a container section holding a horizontal rule.
+   *
+   * @returns {Element} The newly-created container.
+   */
+  createLineSection() {
+    return this.createContainerSection(document.createElement('hr'));
+  },
+
+  /**
+   * createListSection - Creates a list section. Its items are plain li
+   *  elements, as are any lists nested within them.
+   *
+   * @param {boolean} [ordered=false] If true, creates a numbered list (ol)
+   *  rather than a bulleted one (ul).
+   *
+   * @returns {Element} The newly-created list.
+   */
+  createListSection(ordered = false) {
+    const style = this.options.sectionStyle;
+    return generateElement(ordered ? 'ol' : 'ul', this.classes.listSection, { style });
+  },
+
+  /**
+   * findSection - Finds the section (a child of the inner container) which
+   *  contains the given node. Unlike findParentBlock, this looks past list
+   *  items to the list containing them.
+   *
+   * @param {Node} node The node whose section to find.
+   *
+   * @returns {Element || null} The section, or null if the node isn't in one.
+   */
+  findSection(node) {
+    let $section = node;
+    while ($section && $section.parentNode !== this.$innerCtn) {
+      $section = $section.parentNode;
+    }
+    return $section || null;
+  },
+
+  /**
+   * replaceSection - Replaces the given section with the given new one,
+   *  moving the old section's contents into it.
+   *
+   * @param {Element} $section The section to replace.
+   * @param {Element} $newSection The section which will replace it.
+   *
+   * @returns {Element} The given $newSection.
+   */
+  replaceSection($section, $newSection) {
+    while ($section.firstChild) $newSection.appendChild($section.firstChild);
+    $section.parentNode.replaceChild($newSection, $section);
+    if (this.$firstSection === $section) this.$firstSection = $newSection;
+    return $newSection;
+  },
+
+  /**
+   * isTextBlock - Determines whether the given block (as returned by
+   *  findParentBlock) holds text which can be formatted: a text section, a
+   *  quote, or a list item.
+   *
+   * @param {Element} $block The block to test.
+   *
+   * @returns {boolean} Returns true if the block holds text else false.
+   */
+  isTextBlock($block) {
+    if (!$block || $block.nodeType !== Node.ELEMENT_NODE) return false;
+    return $block.tagName === 'LI'
+      || $block.tagName === 'BLOCKQUOTE'
+      || $block.classList.contains(this.classes.textSection);
+  },
+
   /**
    * normalizeSection - Normalizes the current section (div or p) in order to
    *  join all separate text nodes. Text nodes end up split when starting
@@ -203,6 +791,8 @@ export default {
   deleteContainerSection(e) {
     const sel = window.getSelection();
     const section = findParentBlock(sel.anchorNode);
+    // List items are handled by listKeyHandler.
+    if (section.tagName === 'LI') return false;
     let nextSection = null;
     if (e.key === 'Backspace') {
       nextSection = section.previousSibling;
@@ -214,6 +804,7 @@ export default {
       && nextSection.classList.contains(this.classes.containerSection)
     ) {
       e.preventDefault();
+      this.history.checkpoint();
       nextSection.parentNode.removeChild(nextSection);
     }
     return false;
@@ -222,17 +813,26 @@ export default {
 
   /**
    * preventTextInContainer - Prevents the user from typing in container
-   *  sections. If a user tries to type in a container section, the next text
-   *  section is automatically selected or, if none is present, a new one is
-   *  created immediately after the container section. Up and left arrow keys
-   *  move the cursor to the previous section and right and down arrow keys move
-   *  the cursor to the next section.
+   *  sections, other than in image captions. If a user tries to type in a
+   *  container section, the next text section is automatically selected or,
+   *  if none is present, a new one is created immediately after the
+   *  container section. Up and left arrow keys move the cursor to the
+   *  previous section and right and down arrow keys move the cursor to the
+   *  next section.
    *
    */
   preventTextInContainer(e) {
     const sel = window.getSelection();
-    const section = findParentBlock(sel.anchorNode);
-    if (section.classList.contains(this.classes.containerSection)) {
+    let section = findParentBlock(sel.anchorNode);
+    // Custom blocks may render block elements of their own.
+    const $block = this.findSection(sel.anchorNode);
+    if ($block && $block.classList && $block.classList.contains(this.classes.blockSection)) {
+      section = $block;
+    }
+    if (
+      section.classList.contains(this.classes.containerSection)
+      && !this.findCaption(sel.anchorNode)
+    ) {
       let newSection = section.nextSibling;
       if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
         newSection = section.previousSibling;
@@ -271,7 +871,9 @@ export default {
   boldSelection() {
     const sel = window.getSelection();
     if (sel instanceof Selection) {
+      this.history.checkpoint();
       document.execCommand('bold', false);
+      this.scheduleChange();
     }
   },
 
@@ -282,28 +884,131 @@ export default {
   italicizeSelection() {
     const sel = window.getSelection();
     if (sel instanceof Selection) {
+      this.history.checkpoint();
       document.execCommand('italic', false);
+      this.scheduleChange();
+    }
+  },
+
+  /**
+   * toggleMark - Applies the given mark to the selected text, or removes it
+   *  if all of the selected text already has it. Only text in text sections,
+   *  quotes, and list items is changed. Bold and italic are left to the
+   *  browser (see boldSelection and italicizeSelection).
+   *
+   * @param {string} type The type of mark: 'bold', 'italic', 'strike',
+   *  'underline', 'code', or 'highlight'.
+   *
+   * @returns {boolean} Returns true if successful else false.
+   */
+  toggleMark(type) {
+    const sel = window.getSelection();
+    if (!markTags[type] || sel.rangeCount === 0 || sel.isCollapsed) return false;
+    const range = sel.getRangeAt(0);
+    if (!this.$innerCtn.contains(range.commonAncestorContainer)) return false;
+    if (type === 'bold') {
+      this.boldSelection();
+      return true;
+    }
+    if (type === 'italic') {
+      this.italicizeSelection();
+      return true;
+    }
+    const blocks = [];
+    const nodes = splitRange(range).filter((node) => {
+      const $block = findParentBlock(node);
+      if (!this.isTextBlock($block)) return false;
+      if (!blocks.includes($block)) blocks.push($block);
+      return true;
+    });
+    if (nodes.length === 0) return false;
+    this.history.checkpoint();
+    if (nodes.every(node => findMark(node, type, this.$innerCtn))) {
+      nodes.forEach((node) => {
+        let $mark = findMark(node, type, this.$innerCtn);
+        while ($mark) {
+          removeMark(node, $mark);
+          $mark = findMark(node, type, this.$innerCtn);
+        }
+      });
+    } else {
+      nodes.forEach((node) => {
+        if (findMark(node, type, this.$innerCtn)) return;
+        const $mark = document.createElement(markTags[type][0]);
+        node.parentNode.insertBefore($mark, node);
+        $mark.appendChild(node);
+      });
     }
+    blocks.forEach($block => mergeAdjacent($block));
+    const selected = document.createRange();
+    selected.setStart(nodes[0], 0);
+    selected.setEnd(nodes[nodes.length - 1], nodes[nodes.length - 1].length);
+    sel.removeAllRanges();
+    sel.addRange(selected);
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * isMarkActive - Determines whether all of the text in the given range has
+   *  the given mark. A collapsed range tests the text at the cursor.
+   *
+   * @param {string} type The type of mark (see toggleMark).
+   * @param {Range} range The range to test.
+   *
+   * @returns {boolean} Returns true if the mark is applied else false.
+   */
+  isMarkActive(type, range) {
+    if (!markTags[type] || !this.$innerCtn.contains(range.commonAncestorContainer)) return false;
+    const nodes = textNodesInRange(range);
+    if (nodes.length === 0) return Boolean(findMark(range.startContainer, type, this.$innerCtn));
+    return nodes.every(node => findMark(node, type, this.$innerCtn));
   },
 
   /**
    * wrapHeading - Wrap the current selection in a heading element or removes
    *  current heading element. Wraps non-headings in H1 if the current
    *  selection is the first element in the Editor otherwise uses H2. Removes
-   *  all children HTML elements, leavining only text.
+   *  all children HTML elements, leavining only text. Quotes are treated as
+   *  paragraphs.
+   *
+   * @param {number} [level] If given, wraps the selection in a heading of
+   *  this level (1 or 2) instead, or in a paragraph if it is 0.
    *
    * @returns {boolean} Returns true if successful else false.
    */
-  wrapHeading() {
+  wrapHeading(level) {
     const sel = window.getSelection();
     let parentnode = findParentBlock(sel.anchorNode);
+    // List items can't be headings.
+    if (parentnode.tagName === 'LI') return false;
+    this.history.checkpoint();
+    if (parentnode.tagName === 'BLOCKQUOTE') {
+      // formatBlock would nest the heading within the quote.
+      const $quote = parentnode;
+      parentnode = this.preserveSelection(() => (
+        this.replaceSection($quote, this.createTextSection())
+      ));
+    }
     parentnode.innerHTML = parentnode.innerHTML.replace(/<[^>]+>/g, '');
     let tagName;
     let klass;
     let style;
     if (sel instanceof Selection) {
       // debugger;
-      if (parentnode.tagName === 'H2') {
+      if (level === 0) {
+        tagName = this.options.divOrPar;
+        klass = this.options.sectionClass;
+        style = this.options.sectionStyle;
+      } else if (level === 1) {
+        tagName = 'h1';
+        klass = this.options.largeHeadingClass;
+        style = this.options.largeHeadingStyle;
+      } else if (level === 2) {
+        tagName = 'h2';
+        klass = this.options.smallHeadingClass;
+        style = this.options.smallHeadingStyle;
+      } else if (parentnode.tagName === 'H2') {
         tagName = this.options.divOrPar;
         klass = this.options.sectionClass;
         style = this.options.sectionStyle;
@@ -324,52 +1029,369 @@ export default {
         const range = sel.getRangeAt(0);
         range.selectNode(sel.focusNode);
         range.collapse();
+        this.scheduleChange();
       }
       return successful;
     }
     return false;
   },
 
+  /**
+   * wrapQuote - Turns the current section into a quote, a quote into a pull
+   *  quote, and a pull quote back into a paragraph. Unlike headings, quotes
+   *  keep their formatting.
+   *
+   * @param {boolean} [pull] If given, turns the section into a pull quote
+   *  (true) or a plain quote (false) instead, or back into a paragraph if it
+   *  already is one.
+   *
+   * @returns {boolean} Returns true if successful else false.
+   */
+  wrapQuote(pull) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return false;
+    const $section = findParentBlock(sel.anchorNode);
+    if (
+      $section === this.$innerCtn
+      || !this.$innerCtn.contains($section)
+      || $section.tagName === 'LI'
+      || $section.classList.contains(this.classes.containerSection)
+    ) {
+      return false;
+    }
+    const isQuote = $section.tagName === 'BLOCKQUOTE';
+    const isPull = isQuote && $section.classList.contains(this.classes.pullQuote);
+    let $newSection;
+    if (pull === undefined) {
+      if (isPull) {
+        $newSection = this.createTextSection();
+      } else {
+        $newSection = this.createQuoteSection(isQuote);
+      }
+    } else if (isQuote && isPull === Boolean(pull)) {
+      $newSection = this.createTextSection();
+    } else {
+      $newSection = this.createQuoteSection(Boolean(pull));
+    }
+    this.history.checkpoint();
+    this.preserveSelection(() => this.replaceSection($section, $newSection));
+    this.scheduleChange();
+    return true;
+  },
+
   /**
    * wrapLink - wraps the given range (currentRange) with a link node pointing
    *  to the given URL (rawURL). This method first validates the URL, throwing
    *  it out if it isn't properly formatting. It will insert the http protocol
-   *  if at the beginning of the string if it doesn't contain it.
+   *  if at the beginning of the string if it doesn't contain it. The user is
+   *  told (see notify) if the link can't be made.
    *
    * @param {string} rawURL      A string containing the URL to which the link
    *  will point.
    * @param {Range} currentRange The Range around which the link will be
    *  wrapped.
+   * @param {Object} [attributes={}] The link's title and whether it opens in
+   *  a new tab (see setLinkAttributes).
    *
    * @returns {Element || boolean} Will return the new link if successful, else
    *  returns false.
    */
-  wrapLink(rawURL, currentRange) {
+  wrapLink(rawURL, currentRange, attributes = {}) {
     const url = validateURL(rawURL);
-    if (!url) return false;
+    if (!url) {
+      this.notify('warning', 'That isn\'t a valid link.');
+      return false;
+    }
     const link = generateElement('a');
-    link.href = url;
-    currentRange.surroundContents(link);
+    this.setLinkAttributes(link, url, attributes);
+    this.history.checkpoint();
+    try {
+      currentRange.surroundContents(link);
+    } catch (exception) {
+      // The range only partially selects an element (e.g. half of a bold
+      // word), so it can't be wrapped.
+      this.notify('warning', 'Links can\'t start or end partway through formatted text.');
+      return false;
+    }
     collapseSelectionToRange(window.getSelection(), currentRange);
+    this.scheduleChange();
     return link;
   },
 
   /**
-   * removeLink - Replaces the given link node with a text node containing the
-   *  link's text content.
+   * updateLink - Points the given link at the given URL (validated as by
+   *  wrapLink) and changes its title and whether it opens in a new tab. The
+   *  link's current href is kept as it is, so links loaded with relative or
+   *  mailto URLs can be saved unchanged. The user is told (see notify) if the
+   *  URL isn't valid.
    *
-   * @param {Element} $link The linnk to remove.
+   * @param {Element} $link The link to change.
+   * @param {string} rawURL A string containing the URL to which the link will
+   *  point.
+   * @param {Object} [attributes={}] The link's title and whether it opens in
+   *  a new tab (see setLinkAttributes).
    *
+   * @returns {Element || boolean} Returns the link if successful, else false.
    */
-  removeLink($link) {
-    const sel = window.getSelection();
-    this.currentRange = sel.getRangeAt(0);
-    const range = document.createRange();
-    range.selectNode($link);
-    const plainText = document.createTextNode($link.textContent);
-    range.deleteContents();
-    range.insertNode(plainText);
-    collapseSelectionToRange(sel, range);
+  updateLink($link, rawURL, attributes = {}) {
+    if (!$link || !this.$innerCtn.contains($link)) return false;
+    const url = rawURL === $link.getAttribute('href') ? rawURL : validateURL(rawURL);
+    if (!url) {
+      this.notify('warning', 'That isn\'t a valid link.');
+      return false;
+    }
+    this.history.checkpoint();
+    this.setLinkAttributes($link, url, attributes);
+    this.scheduleChange();
+    return $link;
+  },
+
+  /**
+   * setLinkAttributes - Gives the given link its href, its title (removed if
+   *  empty), and, if it opens in a new tab, a target of '_blank' with
+   *  rel="noopener noreferrer" so the opened page can't reach back into this
+   *  one.
+   *
+   * @param {Element} $link The link.
+   * @param {string} url The URL to which the link will point.
+   * @param {Object} attributes The link's attributes as { title, newTab }.
+   *
+   * @returns {Element} The given $link.
+   */
+  setLinkAttributes($link, url, { title = '', newTab = false }) {
+    $link.setAttribute('href', url);
+    if (title) {
+      $link.setAttribute('title', title);
+    } else {
+      $link.removeAttribute('title');
+    }
+    if (newTab) {
+      $link.setAttribute('target', '_blank');
+      $link.setAttribute('rel', 'noopener noreferrer');
+    } else {
+      $link.removeAttribute('target');
+      $link.removeAttribute('rel');
+    }
+    return $link;
+  },
+
+  /**
+   * removeLink - Replaces the given link node with a text node containing the
+   *  link's text content.
+   *
+   * @param {Element} $link The linnk to remove.
+   *
+   */
+  removeLink($link) {
+    const sel = window.getSelection();
+    this.history.checkpoint();
+    this.currentRange = sel.getRangeAt(0);
+    const range = document.createRange();
+    range.selectNode($link);
+    const plainText = document.createTextNode($link.textContent);
+    range.deleteContents();
+    range.insertNode(plainText);
+    collapseSelectionToRange(sel, range);
+    this.scheduleChange();
+  },
+
+  /**
+   * pasteURL - Handles a pasted URL. If text is selected, the selection is
+   *  linked to the URL. If the cursor is in an empty text section and the URL
+   *  matches options.imageURLMatcher, the image is inserted as if through the
+   *  InsertToolbar. Likewise, a URL matching an embed provider is embedded
+   *  (see insertEmbed).
+   *
+   * @param {string} url The pasted text.
+   *
+   * @returns {boolean} Returns true if the URL was handled. Returns false if
+   *  the text isn't a URL or should be pasted as usual.
+   */
+  pasteURL(url) {
+    const sel = window.getSelection();
+    if (!isURL(url) || sel.rangeCount === 0) return false;
+    const range = sel.getRangeAt(0);
+    const section = findParentBlock(range.startContainer);
+    if (section === this.$innerCtn || !this.isTextBlock(section)) return false;
+    if (!sel.isCollapsed) {
+      return section === findParentBlock(range.endContainer)
+        && Boolean(this.wrapLink(url, range));
+    }
+    if (
+      !section.classList.contains(this.classes.textSection)
+      || section.textContent.length > 0
+    ) {
+      return false;
+    }
+    if (this.isImageURL(url)) {
+      this.insertImage(validateURL(url), '', section);
+    } else if (!this.insertEmbed(validateURL(url), section)) {
+      return false;
+    }
+    this.insertToolbar.hide();
+    return true;
+  },
+
+  /**
+   * pasteCode - Pastes the given plain text into the code block containing
+   *  the selection, keeping its whitespace exactly.
+   *
+   * @param {string} text The pasted text.
+   *
+   * @returns {boolean} Returns true if the text was pasted into a code block
+   *  else false.
+   */
+  pasteCode(text) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return false;
+    const $pre = findParentBlock(sel.getRangeAt(0).startContainer);
+    if ($pre.tagName !== 'PRE' || $pre !== findParentBlock(sel.getRangeAt(0).endContainer)) {
+      return false;
+    }
+    this.history.checkpoint();
+    this.insertCodeText($pre, text.replace(/\r\n?/g, '\n'));
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * isImageURL - Determines whether the given URL points to an image using
+   *  options.imageURLMatcher, which is either a RegExp or a function given
+   *  the URL and returning a boolean.
+   *
+   * @param {string} url The URL to test.
+   *
+   * @returns {boolean} Returns true if the URL is an image else false.
+   */
+  isImageURL(url) {
+    const matcher = this.options.imageURLMatcher;
+    if (!isSafeURL(url, this.options.allowedSchemes)) return false;
+    if (typeof matcher === 'function') return Boolean(matcher(url));
+    if (matcher instanceof RegExp) return matcher.test(url);
+    return false;
+  },
+
+  /**
+   * insertBlocks - Inserts the given blocks (see DOCUMENT_VERSION in
+   *  documentJSON.js) at the current selection, replacing it. A single
+   *  paragraph is inserted inline. Otherwise the current section is split at
+   *  the cursor: the first paragraph joins the text before the cursor, the
+   *  last paragraph joins the text after it, and everything else becomes new
+   *  sections in between.
+   *
+   * @param {Object[]} blocks The blocks to insert.
+   *
+   * @returns {boolean} Returns true if the blocks were inserted. Returns false
+   *  if the selection isn't in a text section, where formatted blocks can't be
+   *  inserted, or if anything but text is being inserted into a list item.
+   */
+  insertBlocks(blocks) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || blocks.length === 0) return false;
+    const range = sel.getRangeAt(0);
+    const section = findParentBlock(range.startContainer);
+    if (
+      section === this.$innerCtn
+      || !this.$innerCtn.contains(section)
+      || section !== findParentBlock(range.endContainer)
+      || !this.isTextBlock(section)
+    ) {
+      return false;
+    }
+    const sections = blocksToSections(blocks, this);
+    const isText = $el => $el.classList.contains(this.classes.textSection);
+    const isInline = sections.length === 1 && isText(sections[0]);
+    // Only text can be pasted into a list item.
+    if (section.tagName === 'LI' && !isInline) return false;
+    this.history.checkpoint();
+    range.deleteContents();
+    let $caretAfter = null;
+    if (isInline) {
+      const fragment = document.createDocumentFragment();
+      while (sections[0].firstChild) fragment.appendChild(sections[0].firstChild);
+      $caretAfter = fragment.lastChild;
+      range.insertNode(fragment);
+    } else {
+      const tailRange = document.createRange();
+      tailRange.setStart(range.startContainer, range.startOffset);
+      tailRange.setEnd(section, section.childNodes.length);
+      const tail = tailRange.extractContents();
+      if (isText(sections[0])) {
+        const $first = sections.shift();
+        while ($first.firstChild) section.appendChild($first.firstChild);
+      }
+      let $last = section;
+      sections.forEach(($section) => {
+        $last.parentNode.insertBefore($section, $last.nextSibling);
+        $last = $section;
+      });
+      if ($last === section || !isText($last)) {
+        const $tailSection = this.createTextSection();
+        $last.parentNode.insertBefore($tailSection, $last.nextSibling);
+        $last = $tailSection;
+      }
+      $caretAfter = $last.lastChild;
+      $last.appendChild(tail);
+      if ($last.textContent.length === 0) $last.appendChild(document.createElement('br'));
+      if (section.textContent.length === 0 && section.nextSibling !== $last) {
+        section.parentNode.removeChild(section);
+        this.$firstSection = this.$innerCtn.firstChild;
+      }
+      if (!$caretAfter) {
+        range.setStart($last, 0);
+      }
+    }
+    if ($caretAfter) range.setStartAfter($caretAfter);
+    collapseSelectionToRange(sel, range, true);
+    this.normalizeSection();
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * undo - Undoes the last change made to the editor.
+   *
+   * @returns {boolean} Returns true if a change was undone else false.
+   */
+  undo() {
+    if (!this.history.undo()) return false;
+    this.afterHistoryChange();
+    return true;
+  },
+
+  /**
+   * redo - Redoes the last change undone in the editor.
+   *
+   * @returns {boolean} Returns true if a change was redone else false.
+   */
+  redo() {
+    if (!this.history.redo()) return false;
+    this.afterHistoryChange();
+    return true;
+  },
+
+  /**
+   * afterHistoryChange - Brings the Editor's references to its sections back
+   *  in line with its contents after they've been replaced by an undo or redo.
+   *
+   */
+  afterHistoryChange() {
+    // The restored blocks are rendered afresh, as rendering may have added
+    // event listeners which the history doesn't keep.
+    this.rebuildBlocks(this.$innerCtn);
+    this.$firstSection = this.$innerCtn.firstChild;
+    this.prevSection = null;
+    this.prevSectionPrevSibling = null;
+    this.insertToolbar.hide();
+    this.imageToolbar.hide();
+    // The restored contents may hold the highlight of an image selected when
+    // they were saved.
+    const $selected = this.$innerCtn.querySelectorAll(`.${this.classes.selectedImage}`);
+    Array.from($selected).forEach(($section) => {
+      $section.classList.remove(this.classes.selectedImage);
+    });
+    this.resolveUploads();
+    this.scheduleChange();
   },
 
   /**
@@ -381,29 +1403,395 @@ export default {
    * @param {Element} nextSibling The HTML Element before which the image will
    *  be inserted.
    *
-   * TODO: Get rid of alert. Build out a simple messaging system for users.
    */
   insertImage(src, alt, nextSibling) {
+    this.history.checkpoint();
     if (nextSibling.innerHTML.length === 0) {
       nextSibling.append(document.createElement('br'));
     }
     const sel = window.getSelection();
-    const img = generateElement('img', this.options.imgClass, { src, alt, style: this.options.imgStyle });
-    const section = this.createContainerSection();
-    img.section = section;
-    img.onerror = function onImageError() {
-      img.section.parentNode.removeChild(img.section);
-      alert('Image failed to load.');
-    };
+    const section = this.createInsertedImageSection(src, alt);
     if (nextSibling === this.$firstSection) {
       this.$firstSection = section;
     }
-    section.appendChild(img);
     nextSibling.parentNode.insertBefore(section, nextSibling);
     const range = document.createRange();
     range.selectNodeContents(nextSibling);
     // debugger;
     collapseSelectionToRange(sel, range, true);
+    this.emit('insert', {
+      kind: 'image',
+      section,
+      src,
+      alt,
+    });
+    this.scheduleChange();
+  },
+
+  /**
+   * createInsertedImageSection - Creates an image section (see
+   *  createImageSection) for an image the user has just inserted. If the
+   *  image fails to load, the section is removed and the user is told (see
+   *  notify).
+   *
+   * @param {string} src The string to use for the img's src attribute.
+   * @param {string} alt The string to use for the img's alt attribute.
+   *
+   * @returns {Element} The newly-created container.
+   */
+  createInsertedImageSection(src, alt) {
+    const section = this.createImageSection(src, alt);
+    const img = section.querySelector('img');
+    img.section = section;
+    img.onerror = () => {
+      if (img.section.parentNode) img.section.parentNode.removeChild(img.section);
+      this.notify('error', 'The image failed to load.');
+    };
+    return section;
+  },
+
+  /**
+   * setImageLayout - Changes the layout of the image in the given container
+   *  section (see applyImageLayout).
+   *
+   * @param {Element} $section The image's container section.
+   * @param {string} layout The name of the layout (see imageLayouts).
+   *
+   * @returns {boolean} Returns true if the layout was changed else false.
+   */
+  setImageLayout($section, layout) {
+    if (
+      !$section
+      || $section.parentNode !== this.$innerCtn
+      || !$section.querySelector('img')
+      || !this.imageLayouts()[layout]
+    ) {
+      return false;
+    }
+    this.history.checkpoint();
+    this.applyImageLayout($section, layout);
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * setImageAlt - Changes the alt text of the image in the given container
+   *  section.
+   *
+   * @param {Element} $section The image's container section.
+   * @param {string} alt The new alt text.
+   *
+   * @returns {boolean} Returns true if the alt text was changed else false.
+   */
+  setImageAlt($section, alt) {
+    const $img = $section && $section.parentNode === this.$innerCtn && $section.querySelector('img');
+    if (!$img) return false;
+    this.history.checkpoint();
+    $img.setAttribute('alt', alt);
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * setImageSrc - Replaces the image in the given container section with the
+   *  one at the given URL, keeping its alt text, caption, and layout.
+   *
+   * @param {Element} $section The image's container section.
+   * @param {string} src The URL of the new image, which must be one of
+   *  options.allowedSchemes.
+   *
+   * @returns {boolean} Returns true if the image was replaced else false.
+   */
+  setImageSrc($section, src) {
+    const $img = $section && $section.parentNode === this.$innerCtn && $section.querySelector('img');
+    if (!$img || !isSafeURL(src, this.options.allowedSchemes)) return false;
+    this.history.checkpoint();
+    $img.setAttribute('src', src);
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * moveImage - Moves the given image container section past the section
+   *  before or after it. A text section is added after the image if it ends
+   *  up last, so the user can still type after it.
+   *
+   * @param {Element} $section The image's container section.
+   * @param {string} direction Either 'up' or 'down'.
+   *
+   * @returns {boolean} Returns true if the image was moved else false.
+   */
+  moveImage($section, direction) {
+    if (!$section || $section.parentNode !== this.$innerCtn) return false;
+    const $sibling = direction === 'up' ? $section.previousSibling : $section.nextSibling;
+    if (!$sibling) return false;
+    this.history.checkpoint();
+    if (direction === 'up') {
+      this.$innerCtn.insertBefore($section, $sibling);
+    } else {
+      this.$innerCtn.insertBefore($sibling, $section);
+    }
+    if (!$section.nextSibling) this.$innerCtn.appendChild(this.createTextSection());
+    this.$firstSection = this.$innerCtn.firstChild;
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * removeImage - Removes the given image container section, moving the
+   *  cursor to the section which takes its place.
+   *
+   * @param {Element} $section The image's container section.
+   *
+   * @returns {boolean} Returns true if the image was removed else false.
+   */
+  removeImage($section) {
+    if (!$section || $section.parentNode !== this.$innerCtn) return false;
+    this.history.checkpoint();
+    this.imageToolbar.hide();
+    const $next = $section.nextSibling || $section.previousSibling;
+    this.$innerCtn.removeChild($section);
+    if (!this.$innerCtn.firstChild) {
+      this.createFirstTextSection();
+    } else {
+      this.$firstSection = this.$innerCtn.firstChild;
+      if ($next && this.isTextBlock($next)) window.getSelection().collapse($next, 0);
+    }
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * insertEmbed - Embeds the media at the given URL (see createEmbedSection)
+   *  before the given section.
+   *
+   * @param {string} url The URL of the media to embed.
+   * @param {Element} nextSibling The section before which the embed will be
+   *  inserted.
+   *
+   * @returns {boolean} Returns true if the embed was inserted, or false if no
+   *  embed provider matches the URL.
+   */
+  insertEmbed(url, nextSibling) {
+    const section = this.createEmbedSection(url);
+    if (!section) return false;
+    this.history.checkpoint();
+    if (nextSibling.innerHTML.length === 0) {
+      nextSibling.append(document.createElement('br'));
+    }
+    if (nextSibling === this.$firstSection) {
+      this.$firstSection = section;
+    }
+    nextSibling.parentNode.insertBefore(section, nextSibling);
+    const range = document.createRange();
+    range.selectNodeContents(nextSibling);
+    collapseSelectionToRange(window.getSelection(), range, true);
+    this.emit('insert', {
+      kind: 'embed',
+      section,
+      url,
+      provider: section.getAttribute('data-embed'),
+    });
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * insertBlock - Inserts a custom block of the given type (see
+   *  createBlockSection) before the given section.
+   *
+   * @param {string} name The name of the block type.
+   * @param {*} data The block's data.
+   * @param {Element} nextSibling The section before which the block will be
+   *  inserted.
+   *
+   * @returns {Element || null} The block's container section, or null if it
+   *  couldn't be created.
+   */
+  insertBlock(name, data, nextSibling) {
+    const section = this.createBlockSection(name, data);
+    if (!section) return null;
+    this.history.checkpoint();
+    if (nextSibling.innerHTML.length === 0) {
+      nextSibling.append(document.createElement('br'));
+    }
+    if (nextSibling === this.$firstSection) {
+      this.$firstSection = section;
+    }
+    nextSibling.parentNode.insertBefore(section, nextSibling);
+    const range = document.createRange();
+    range.selectNodeContents(nextSibling);
+    collapseSelectionToRange(window.getSelection(), range, true);
+    this.emit('insert', {
+      kind: 'block',
+      section,
+      block: name,
+      data,
+    });
+    this.scheduleChange();
+    return section;
+  },
+
+  /**
+   * setBlockData - Changes the data of the custom block in the given
+   *  container section, rendering it afresh, e.g. when the user votes in a
+   *  poll.
+   *
+   * @param {Element} $section The block's container section.
+   * @param {*} data The block's new data.
+   *
+   * @returns {Element || null} The block's new container section, or null if
+   *  it couldn't be created.
+   */
+  setBlockData($section, data) {
+    if (!$section || $section.parentNode !== this.$innerCtn) return null;
+    const $newSection = this.createBlockSection($section.getAttribute('data-block'), data);
+    if (!$newSection) return null;
+    this.history.checkpoint();
+    this.$innerCtn.replaceChild($newSection, $section);
+    this.$firstSection = this.$innerCtn.firstChild;
+    this.scheduleChange();
+    return $newSection;
+  },
+
+  /**
+   * canUploadImages - Determines whether images can be uploaded, either
+   *  through options.uploadImage or, without an uploader, as data URLs (see
+   *  options.imageDataURLLimit).
+   *
+   * @returns {boolean} Returns true if images can be uploaded else false.
+   */
+  canUploadImages() {
+    return typeof this.options.uploadImage === 'function' || this.options.imageDataURLLimit > 0;
+  },
+
+  /**
+   * uploadImages - Uploads the given image files (see uploadImage). If the
+   *  given section is an empty text section, the images are inserted before
+   *  it, as with insertImage; otherwise they are inserted after it.
+   *
+   * @param {File[]} files The image files to upload.
+   * @param {Element} $section The section next to which to insert the
+   *  images.
+   *
+   * @returns {boolean} Returns true if any uploads were started else false.
+   */
+  uploadImages(files, $section) {
+    if (
+      files.length === 0
+      || !this.canUploadImages()
+      || !$section
+      || $section.parentNode !== this.$innerCtn
+    ) {
+      return false;
+    }
+    this.history.checkpoint();
+    const isEmpty = $section.classList.contains(this.classes.textSection)
+      && $section.textContent.length === 0;
+    let $next = isEmpty ? $section : $section.nextSibling;
+    if (!$next) {
+      // The user always needs somewhere to type after the images.
+      $next = this.createTextSection();
+      $next.appendChild(document.createElement('br'));
+      this.$innerCtn.appendChild($next);
+    }
+    files.forEach((file) => {
+      this.uploadCount += 1;
+      const id = String(this.uploadCount);
+      const $upload = this.createUploadSection(id);
+      if ($next === this.$firstSection) this.$firstSection = $upload;
+      this.$innerCtn.insertBefore($upload, $next);
+      this.uploadImage(file, id);
+    });
+    this.insertToolbar.hide();
+    return true;
+  },
+
+  /**
+   * uploadImage - Uploads the given image file (see uploadFile in
+   *  upload.js), showing its progress in the upload section of the given id.
+   *  Once the upload finishes, the upload section is replaced by the image
+   *  and the 'insert' event is emitted. If it fails, the upload section is
+   *  removed, the user is told, and the 'uploaderror' event is emitted.
+   *
+   * @param {File} file The image file to upload.
+   * @param {string} id The id of the upload section (see createUploadSection).
+   *
+   * @returns {Promise} Resolves once the upload has finished or failed.
+   */
+  uploadImage(file, id) {
+    this.uploads[id] = { pending: true };
+    const progress = (fraction) => {
+      const $upload = this.$innerCtn.querySelector(`[data-upload="${id}"]`);
+      if ($upload && typeof fraction === 'number') {
+        $upload.querySelector('progress').value = Math.min(Math.max(fraction, 0), 1);
+      }
+    };
+    return uploadFile(file, this.options, progress).then((src) => {
+      if (!this.isAllowedImageURL(src)) throw new Error('The uploaded image\'s URL is not allowed.');
+      if (this.destroyed) return;
+      this.uploads[id] = { src };
+      this.resolveUploads().forEach((section) => {
+        this.emit('insert', {
+          kind: 'image',
+          section,
+          src,
+          alt: '',
+        });
+      });
+    }).catch((error) => {
+      if (this.destroyed) return;
+      this.uploads[id] = { error };
+      this.resolveUploads();
+      this.emit('uploaderror', { file, error });
+      this.notify('error', 'The image failed to upload.');
+    });
+  },
+
+  /**
+   * isAllowedImageURL - Determines whether the given URL, e.g. given by an
+   *  upload or a loaded document, may be used as an image's src: it must use
+   *  one of options.allowedSchemes or, if data URLs are allowed (see
+   *  options.imageDataURLLimit), be an image data URL. This is the same test
+   *  the sanitizer applies to loaded HTML.
+   *
+   * @param {string} url The URL to test.
+   *
+   * @returns {boolean} Returns true if the URL may be used else false.
+   */
+  isAllowedImageURL(url) {
+    if (typeof url !== 'string') return false;
+    if (isImageDataURL(url)) return this.options.imageDataURLLimit > 0;
+    return isSafeURL(url, this.options.allowedSchemes);
+  },
+
+  /**
+   * resolveUploads - Replaces the upload sections of finished uploads with
+   *  their images and removes those of failed uploads. Upload sections can
+   *  come back through undo and redo after their uploads have finished, so
+   *  this is also called after each (see afterHistoryChange).
+   *
+   * @returns {Element[]} The image sections which replaced upload sections.
+   */
+  resolveUploads() {
+    const $uploads = this.$innerCtn.querySelectorAll(`.${this.classes.uploadSection}`);
+    const images = [];
+    Array.from($uploads).forEach(($upload) => {
+      const upload = this.uploads[$upload.getAttribute('data-upload')];
+      if (upload && upload.pending) return;
+      if (upload && upload.src) {
+        const $image = this.createInsertedImageSection(upload.src, '');
+        this.$innerCtn.replaceChild($image, $upload);
+        images.push($image);
+      } else {
+        this.$innerCtn.removeChild($upload);
+      }
+    });
+    if ($uploads.length > 0) {
+      this.$firstSection = this.$innerCtn.firstChild;
+      this.scheduleChange();
+    }
+    return images;
   },
 
   /**
@@ -414,19 +1802,244 @@ export default {
   insertLine() {
     const sel = window.getSelection();
     let range = sel.getRangeAt(0);
-    const nextSibling = findParentBlock(range.startContainer);
-    if (nextSibling === this.$firstSection) return false;
-    const line = document.createElement('hr');
-    const section = this.createContainerSection();
-    section.appendChild(line);
+    const nextSibling = this.findSection(range.startContainer);
+    if (!nextSibling || this.isFirst(nextSibling)) return false;
+    this.history.checkpoint();
+    const section = this.createLineSection();
     nextSibling.parentNode.insertBefore(section, nextSibling);
     range = document.createRange();
     range.selectNodeContents(nextSibling);
     collapseSelectionToRange(sel, range, true);
     this.insertToolbar.hide();
+    this.emit('insert', { kind: 'line', section });
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * insertCode - Turns the current text section, which must be empty, into a
+   *  code block and places the cursor in it.
+   *
+   * @param {string} [language=''] The language of the code, if known.
+   *
+   * @returns {boolean} Returns true if successful else false.
+   */
+  insertCode(language = '') {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return false;
+    const $section = findParentBlock(sel.anchorNode);
+    if (
+      !this.$innerCtn.contains($section)
+      || !$section.classList.contains(this.classes.textSection)
+      || $section.textContent.length > 0
+    ) {
+      return false;
+    }
+    this.history.checkpoint();
+    $section.textContent = '';
+    const section = this.replaceSection($section, this.createCodeSection(language));
+    setCodeText(section, '', 0);
+    this.insertToolbar.hide();
+    this.emit('insert', { kind: 'code', section, language });
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * insertCodeText - Replaces the selection within the given code block with
+   *  the given text, exactly as given.
+   *
+   * @param {Element} $pre The code block containing the selection.
+   * @param {string} text The text to insert.
+   *
+   */
+  insertCodeText($pre, text) {
+    const selected = getCodeSelection($pre);
+    const before = selected.text.slice(0, selected.start);
+    const position = selected.start + text.length;
+    setCodeText($pre, `${before}${text}${selected.text.slice(selected.end)}`, position);
+  },
+
+  /**
+   * toggleList - Turns the selected text sections and quotes into the items
+   *  of a bulleted or numbered list, joining any list of the same kind right
+   *  before or after them. If the selection is already in a list of that
+   *  kind, its item is turned back into a text section; if it is in a list of
+   *  the other kind, that list is switched to this kind.
+   *
+   * @param {boolean} [ordered=false] If true, the list is numbered rather than
+   *  bulleted.
+   *
+   * @returns {boolean} Returns true if successful else false.
+   */
+  toggleList(ordered = false) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return false;
+    const range = sel.getRangeAt(0);
+    const $block = findParentBlock(range.startContainer);
+    if ($block === this.$innerCtn || !this.$innerCtn.contains($block)) return false;
+    const tagName = ordered ? 'OL' : 'UL';
+    if ($block.tagName === 'LI') {
+      const $list = $block.parentNode;
+      this.history.checkpoint();
+      this.preserveSelection(() => {
+        if ($list.tagName === tagName) {
+          let $item = $block;
+          while ($item.tagName === 'LI') $item = this.outdentListItem($item);
+          return $item;
+        }
+        const $newList = $list.parentNode === this.$innerCtn
+          ? this.createListSection(ordered)
+          : document.createElement(tagName);
+        while ($list.firstChild) $newList.appendChild($list.firstChild);
+        $list.parentNode.replaceChild($newList, $list);
+        return $block;
+      });
+      this.scheduleChange();
+      return true;
+    }
+    const sections = [];
+    const $last = this.findSection(range.endContainer);
+    let $section = this.findSection(range.startContainer);
+    while ($section) {
+      if (this.isTextBlock($section)) sections.push($section);
+      $section = $section === $last ? null : $section.nextElementSibling;
+    }
+    if (sections.length === 0) return false;
+    this.history.checkpoint();
+    this.preserveSelection(() => {
+      let $firstItem = null;
+      sections.forEach(($current) => {
+        let $list = $current.previousElementSibling;
+        if (!$list || $list.tagName !== tagName) {
+          $list = this.createListSection(ordered);
+          this.$innerCtn.insertBefore($list, $current);
+        }
+        const $item = document.createElement('li');
+        while ($current.firstChild) $item.appendChild($current.firstChild);
+        if ($item.textContent.length === 0) $item.innerHTML = '<br>';
+        $list.appendChild($item);
+        this.$innerCtn.removeChild($current);
+        const $next = $list.nextElementSibling;
+        if ($next && $next.tagName === tagName) {
+          while ($next.firstChild) $list.appendChild($next.firstChild);
+          this.$innerCtn.removeChild($next);
+        }
+        if (!$firstItem) $firstItem = $item;
+      });
+      return $firstItem;
+    });
+    this.$firstSection = this.$innerCtn.firstChild;
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * indentListItem - Nests the given list item within the item before it.
+   *
+   * @param {Element} $item The list item to indent.
+   *
+   * @returns {boolean} Returns true if the item was indented. Returns false if
+   *  it is the first item of its list, which can't be indented.
+   */
+  indentListItem($item) {
+    const $prev = $item.previousElementSibling;
+    if (!$prev) return false;
+    let $sublist = findSublist($prev);
+    if (!$sublist) {
+      $sublist = document.createElement($item.parentNode.tagName);
+      $prev.appendChild($sublist);
+    }
+    $sublist.appendChild($item);
     return true;
   },
 
+  /**
+   * outdentListItem - Moves the given list item out of its list. A nested
+   *  item becomes an item of the list above, right after the item it was
+   *  nested in. An item of a list section becomes a text section, splitting
+   *  the list in two. Either way, the items after it stay after it, nested
+   *  within it.
+   *
+   * @param {Element} $item The list item to outdent.
+   *
+   * @returns {Element} The list item or text section now holding the item's
+   *  text.
+   */
+  outdentListItem($item) {
+    const $list = $item.parentNode;
+    let $sublist = findSublist($item);
+    if ($item.nextElementSibling) {
+      if (!$sublist) {
+        $sublist = document.createElement($list.tagName);
+        $item.appendChild($sublist);
+      }
+      while ($item.nextSibling) $sublist.appendChild($item.nextSibling);
+    }
+    let $block = $item;
+    if ($list.parentNode.tagName === 'LI') {
+      $list.parentNode.parentNode.insertBefore($item, $list.parentNode.nextSibling);
+    } else {
+      $block = this.createTextSection();
+      Array.from($item.childNodes).forEach((child) => {
+        if (child !== $sublist) $block.appendChild(child);
+      });
+      if ($block.textContent.length === 0) $block.innerHTML = '<br>';
+      $list.parentNode.insertBefore($block, $list.nextSibling);
+      if ($sublist) {
+        const $rest = this.createListSection($sublist.tagName === 'OL');
+        while ($sublist.firstChild) $rest.appendChild($sublist.firstChild);
+        $list.parentNode.insertBefore($rest, $block.nextSibling);
+      }
+      $list.removeChild($item);
+    }
+    if ($list.children.length === 0) $list.parentNode.removeChild($list);
+    return $block;
+  },
+
+  /**
+   * newListItem - Splits the given list item at the cursor, moving the text
+   *  after the cursor into a new item. Pressing Enter in an empty item
+   *  outdents it instead (see outdentListItem), so pressing Enter twice
+   *  leaves the list.
+   *
+   * @param {Element} $item The list item containing the cursor.
+   *
+   * @returns {Element} The new list item, or the outdented item.
+   */
+  newListItem($item) {
+    const sel = window.getSelection();
+    const range = sel.getRangeAt(0);
+    range.deleteContents();
+    const $sublist = findSublist($item);
+    const ownContent = () => Array.from($item.childNodes).filter(child => child !== $sublist);
+    if (ownContent().every(child => child.textContent.length === 0)) {
+      return this.preserveSelection(() => this.outdentListItem($item));
+    }
+    const tail = document.createRange();
+    tail.setStart(range.startContainer, range.startOffset);
+    if ($sublist) {
+      tail.setEndBefore($sublist);
+    } else {
+      tail.setEnd($item, $item.childNodes.length);
+    }
+    const $newItem = document.createElement('li');
+    $newItem.appendChild(tail.extractContents());
+    if ($newItem.textContent.length === 0) $newItem.innerHTML = '<br>';
+    if (ownContent().every(child => child.textContent.length === 0)) {
+      ownContent().forEach(child => $item.removeChild(child));
+      $item.insertBefore(document.createElement('br'), $sublist);
+    }
+    // Items with nested lists continue at the start of the nested list.
+    if ($sublist) {
+      $sublist.insertBefore($newItem, $sublist.firstChild);
+    } else {
+      $item.parentNode.insertBefore($newItem, $item.nextSibling);
+    }
+    sel.collapse($newItem, 0);
+    return $newItem;
+  },
+
   /*
   ##     ##    ###    ##    ## ########  ##       ######## ########   ######
   ##     ##   ## ##   ###   ## ##     ## ##       ##       ##     ## ##    ##
@@ -442,7 +2055,8 @@ export default {
    *  object is not a Selection this method will immediately return false.
    *  Otherwise it will display the Toolbar if the Selection is contained
    *  fully within this Editor and the Selection contains text. Otherwise it
-   *  will hide the Toolbar.
+   *  will hide the Toolbar. If the cursor has moved onto an image, e.g. with
+   *  the arrow keys, the ImageToolbar is displayed for it.
    *
    *
    * @param {Event} e The selectionchange event.
@@ -461,15 +2075,31 @@ export default {
     } else {
       this.editToolbar.hide();
     }
+    const $image = this.selectedImageSection();
+    if ($image && $image !== this.imageToolbar.$section) {
+      this.insertToolbar.hide();
+      this.imageToolbar.display($image);
+    }
+    if (containsSelection(sel, this.$innerCtn)) {
+      this.emit('selectionchange', { selection: sel });
+    }
     return true;
   },
 
   /**
    * pasteHandler - Handles the paste event in the editor. We intercept the
-   *  normal paste event and strip all HTML from the copied text and then
-   *  insert it as HTML. This is done to ensure that each paste is essentially
-   *  a 'paste as plain text.' We use 'insertHTML' because most browsers don't
-   *  allow access to the paste action in execCommand.
+   *  normal paste event so that only formatting WriteFree understands is
+   *  pasted. If the clipboard holds HTML, it is sanitized and mapped onto
+   *  WriteFree's sections (see insertBlocks). Otherwise, or if the
+   *  plainTextPaste option is set, we strip all HTML from the copied text and
+   *  then insert it as HTML. This is done to ensure that each paste is
+   *  essentially a 'paste as plain text.' We use 'insertHTML' because most
+   *  browsers don't allow access to the paste action in execCommand.
+   *
+   *  Pasted image files with no text, such as screenshots, are uploaded (see
+   *  uploadImages). Unless the plainTextPaste option is set, a pasted URL is
+   *  handled by pasteURL first, and URLs within pasted plain text become
+   *  links.
    *
    * @param {Event} e The paste event.
    *
@@ -479,11 +2109,69 @@ export default {
   pasteHandler(e) {
     e.preventDefault();
     if (!e.type === 'paste') return false;
+    const html = e.clipboardData.getData('text/html');
     const text = e.clipboardData.getData('text/plain');
+    if (this.$innerCtn.contains(e.target)) {
+      const sel = window.getSelection();
+      if (
+        !text
+        && sel.rangeCount > 0
+        && this.uploadImages(
+          imageFiles(e.clipboardData),
+          this.findSection(sel.getRangeAt(0).startContainer),
+        )
+      ) {
+        return true;
+      }
+      if (this.pasteCode(text)) return true;
+      if (!this.options.plainTextPaste && this.pasteRichText(html, text)) return true;
+    }
+    this.history.checkpoint();
     document.execCommand('insertHTML', false, text);
+    this.scheduleChange();
     return true;
   },
 
+  /**
+   * pasteRichText - Inserts pasted content with the formatting WriteFree
+   *  understands: a URL is handled by pasteURL, HTML is mapped onto sections,
+   *  and URLs within plain text become links.
+   *
+   * @param {string} html The pasted HTML, if any.
+   * @param {string} text The pasted plain text.
+   *
+   * @returns {boolean} Returns true if the content was inserted else false,
+   *  in which case it should be pasted as plain text.
+   */
+  pasteRichText(html, text) {
+    if (this.pasteURL(text.trim())) return true;
+    if (html) {
+      const blocks = pastedHTMLToBlocks(html, this.options.allowedSchemes);
+      if (this.insertBlocks(blocks)) return true;
+    }
+    const content = linkifyText(text);
+    return content.some(run => run.marks.length > 0)
+      && this.insertBlocks([{ type: 'paragraph', content }]);
+  },
+
+  /**
+   * dropHandler - Handles the drop event in the editor. Image files dropped
+   *  onto a section are uploaded and inserted next to it (see uploadImages).
+   *  Anything else is left to the browser.
+   *
+   * @param {DragEvent} e The drop event.
+   *
+   * @returns {boolean} Returns true if images were dropped else false.
+   */
+  dropHandler(e) {
+    if (!this.$innerCtn.contains(e.target)) return false;
+    const files = imageFiles(e.dataTransfer);
+    if (files.length === 0 || !this.canUploadImages()) return false;
+    e.preventDefault();
+    const $section = this.findSection(e.target) || this.$innerCtn.lastChild;
+    return this.uploadImages(files, $section);
+  },
+
   /**
    * newLineHandler - Handle's the creation of a new section when the user
    *  creates a newline (aka presses 'Enter'). We hijack this event because
@@ -492,12 +2180,15 @@ export default {
    *
    *  TODO: Clean this up.
    *
-   * @returns {Element} Returns the newly created paragraph.
+   * @returns {Element} Returns the newly created paragraph (or list item, see
+   *  newListItem).
    */
   newLineHandler(e) {
     e.preventDefault();
+    this.history.checkpoint();
     const sel = window.getSelection();
     const parentBlock = findParentBlock(sel.focusNode);
+    if (parentBlock.tagName === 'LI') return this.newListItem(parentBlock);
     const newPar = this.createTextSection();
     parentBlock.parentNode.insertBefore(newPar, parentBlock.nextSibling);
     const currentRange = sel.getRangeAt(0);
@@ -542,11 +2233,28 @@ export default {
    *  fairly limited in scope: though it catches Backspace, Delete, and ctrl-X
    *  it's really only meant to stop the Backspace from deleting the first
    *  paragraph. Events like ctrl-A + Backspace are handled in the
-   *  keyupHandler.
+   *  keyupHandler. Keyboard shortcuts are handled by this.keymap, typing
+   *  shortcuts by this.inputRules, and keys with special meaning in lists,
+   *  code blocks, and captions by this.listKeyHandler, this.codeKeyHandler,
+   *  and this.captionKeyHandler. Backspace and Delete on a selected image are
+   *  handled by this.imageKeyHandler.
    *
    * @param {KeyboardEvent} e The KeyboardEvent to test.
    */
   keydownHandler(e) {
+    const inEditor = this.$innerCtn.contains(e.target);
+    if (inEditor) {
+      if (this.imageKeyHandler(e)) return;
+      this.imageToolbar.hide();
+      if (
+        this.historyKeyHandler(e)
+        || this.keymap.handleKey(e)
+        || this.inputRules.handleKey(e)
+        || this.listKeyHandler(e)
+        || this.codeKeyHandler(e)
+        || this.captionKeyHandler(e)
+      ) return;
+    }
     const sel = window.getSelection();
     if (isDeletionKey(e)) {
       if (
@@ -563,7 +2271,7 @@ export default {
         this.deleteContainerSection(e);
       }
     }
-    if (e.key === 'Enter' && this.$innerCtn.contains(e.target)) {
+    if (e.key === 'Enter' && inEditor) {
       this.newLineHandler(e);
     }
     this.preventTextInContainer(e);
@@ -571,11 +2279,239 @@ export default {
     const prevSection = findParentBlock(range.startContainer);
     if (!this.editToolbar.contains(prevSection) && !this.insertToolbar.contains(prevSection)) {
       this.prevSection = prevSection;
-      this.prevSectionPrevSibling = this.prevSection.previousSibling;
+      const $section = prevSection.tagName === 'LI' ? this.findSection(prevSection) : prevSection;
+      this.prevSectionPrevSibling = $section.previousSibling;
       this.prevOffset = range.startOffset;
     }
   },
 
+  /**
+   * listKeyHandler - Handles the keys with special meaning in list items:
+   *  Tab indents the item, Shift+Tab outdents it, and Backspace at the start
+   *  of the item outdents it. Enter is handled by newLineHandler.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent to test.
+   *
+   * @returns {boolean} Returns true if the key was handled else false.
+   */
+  listKeyHandler(e) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || e.ctrlKey || e.metaKey || e.altKey) return false;
+    const $item = findParentBlock(sel.anchorNode);
+    if ($item.tagName !== 'LI') return false;
+    let outdent = e.key === 'Tab' && e.shiftKey;
+    if (e.key === 'Backspace' && sel.isCollapsed) {
+      const before = document.createRange();
+      before.setStart($item, 0);
+      before.setEnd(sel.anchorNode, sel.anchorOffset);
+      outdent = before.toString().length === 0;
+    }
+    if (e.key !== 'Tab' && !outdent) return false;
+    e.preventDefault();
+    this.history.checkpoint();
+    this.preserveSelection(() => (
+      outdent ? this.outdentListItem($item) : this.indentListItem($item)
+    ));
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * codeKeyHandler - Handles the keys with special meaning in code blocks:
+   *  Enter inserts a newline, keeping the indentation of the current line,
+   *  and Tab and Shift+Tab indent and outdent the selected lines. Enter on an
+   *  empty last line leaves the code block, and Backspace in an empty code
+   *  block turns it back into a text section.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent to test.
+   *
+   * @returns {boolean} Returns true if the key was handled else false.
+   */
+  codeKeyHandler(e) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || e.ctrlKey || e.metaKey || e.altKey) return false;
+    const $pre = findParentBlock(sel.anchorNode);
+    if (
+      $pre.tagName !== 'PRE'
+      || !['Enter', 'Tab', 'Backspace'].includes(e.key)
+      || $pre !== findParentBlock(sel.focusNode)
+    ) {
+      return false;
+    }
+    const { text, start, end } = getCodeSelection($pre);
+    const before = text.slice(0, start);
+    if (e.key === 'Backspace') {
+      if (!sel.isCollapsed || start > 0) return false;
+      e.preventDefault();
+      // Backspace at the start would otherwise merge the code into the
+      // section before it.
+      if (text.replace(/\n$/, '').length > 0) return true;
+      this.history.checkpoint();
+      const $section = this.createTextSection();
+      $section.appendChild(document.createElement('br'));
+      $pre.textContent = '';
+      sel.collapse(this.replaceSection($pre, $section), 0);
+      this.scheduleChange();
+      return true;
+    }
+    e.preventDefault();
+    this.history.checkpoint();
+    if (e.key === 'Tab') {
+      const indented = indentLines(text, start, end, e.shiftKey);
+      setCodeText($pre, indented.text, indented.start, indented.end);
+    } else if (start === end && /\n$/.test(before) && /^\n?$/.test(text.slice(end))) {
+      // Enter on an empty last line.
+      setCodeText($pre, before.replace(/\n$/, ''));
+      let $next = $pre.nextElementSibling;
+      if (!$next || !$next.classList.contains(this.classes.textSection)) {
+        $next = this.createTextSection();
+        $next.appendChild(document.createElement('br'));
+        this.$innerCtn.insertBefore($next, $pre.nextSibling);
+      }
+      sel.collapse($next, 0);
+    } else {
+      const indent = before.slice(before.lastIndexOf('\n') + 1).match(/^[ \t]*/)[0];
+      this.insertCodeText($pre, `\n${indent}`);
+    }
+    this.scheduleChange();
+    return true;
+  },
+
+  /**
+   * captionKeyHandler - Handles the keys with special meaning in image
+   *  captions: Enter moves the cursor to the text section after the image,
+   *  creating one if needed, and Backspace at the start of the caption and
+   *  Delete at its end do nothing rather than deleting the image.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent to test.
+   *
+   * @returns {boolean} Returns true if the key was handled else false.
+   */
+  captionKeyHandler(e) {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || !['Enter', 'Backspace', 'Delete'].includes(e.key)) return false;
+    const $caption = this.findCaption(sel.anchorNode);
+    if (!$caption || $caption !== this.findCaption(sel.focusNode)) return false;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const $section = this.findSection($caption);
+      let $next = $section.nextSibling;
+      if (!$next || !$next.classList.contains(this.classes.textSection)) {
+        this.history.checkpoint();
+        $next = this.createTextSection();
+        $next.appendChild(document.createElement('br'));
+        this.$innerCtn.insertBefore($next, $section.nextSibling);
+        this.scheduleChange();
+      }
+      sel.collapse($next, 0);
+      return true;
+    }
+    if (!sel.isCollapsed) return false;
+    const range = sel.getRangeAt(0);
+    const edge = document.createRange();
+    edge.selectNodeContents($caption);
+    if (e.key === 'Backspace') {
+      edge.setEnd(range.startContainer, range.startOffset);
+    } else {
+      edge.setStart(range.endContainer, range.endOffset);
+    }
+    if (edge.toString().length > 0) return false;
+    e.preventDefault();
+    return true;
+  },
+
+  /**
+   * selectedImageSection - Finds the image container section holding the
+   *  cursor, which is where an image is selected from the keyboard or a
+   *  click. The cursor in an image's caption doesn't select it.
+   *
+   * @returns {Element || null} The image's container section, or null if the
+   *  cursor isn't on an image.
+   */
+  selectedImageSection() {
+    const sel = window.getSelection();
+    if (
+      sel.rangeCount === 0
+      || !sel.isCollapsed
+      || !this.$innerCtn.contains(sel.anchorNode)
+      || this.findCaption(sel.anchorNode)
+    ) {
+      return null;
+    }
+    const $section = this.findSection(sel.anchorNode);
+    return this.isImageSection($section) ? $section : null;
+  },
+
+  /**
+   * imageKeyHandler - Handles Backspace and Delete while an image is
+   *  selected (see selectedImageSection) by removing the image.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent to test.
+   *
+   * @returns {boolean} Returns true if the key was handled else false.
+   */
+  imageKeyHandler(e) {
+    if (!['Backspace', 'Delete'].includes(e.key)) return false;
+    const $section = this.selectedImageSection();
+    if (!$section) return false;
+    e.preventDefault();
+    this.removeImage($section);
+    return true;
+  },
+
+  /**
+   * historyKeyHandler - Handles the undo (Ctrl/Cmd+Z) and redo
+   *  (Ctrl/Cmd+Shift+Z or Ctrl+Y) shortcuts in place of the browser, whose
+   *  history doesn't know about the Editor's own changes. Any other key which
+   *  changes the contents is recorded in the History as typing.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent to test.
+   *
+   * @returns {boolean} Returns true if the key was an undo or redo shortcut
+   *  else false.
+   */
+  historyKeyHandler(e) {
+    const key = e.key.toLowerCase();
+    const modifier = e.ctrlKey || e.metaKey;
+    if (modifier && !e.altKey && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+      return true;
+    }
+    if (e.ctrlKey && !e.altKey && key === 'y') {
+      e.preventDefault();
+      this.redo();
+      return true;
+    }
+    if (isDeletionKey(e)) {
+      this.history.recordTyping('delete');
+    } else if (e.key.length === 1 && !modifier) {
+      this.history.recordTyping('insert');
+    }
+    return false;
+  },
+
+  /**
+   * beforeInputHandler - Routes undo and redo requested through the browser
+   *  (e.g. from the Edit menu) to the Editor's History.
+   *
+   * @param {InputEvent} e The beforeinput event.
+   *
+   */
+  beforeInputHandler(e) {
+    if (e.inputType === 'historyUndo') {
+      e.preventDefault();
+      this.undo();
+    } else if (e.inputType === 'historyRedo') {
+      e.preventDefault();
+      this.redo();
+    }
+  },
+
   /**
    * keyupHandler - Watches for deletion keys and resets the editor container
    *  if they remove the first inner paragraph. Also normalizes the current
@@ -597,6 +2533,7 @@ export default {
       }
       this.displayFirstSectionPlaceholder();
     }
+    this.scheduleChange();
     try {
       this.normalizeSection();
       this.checkForInsert(e);
@@ -621,6 +2558,8 @@ export default {
     this.insertToolbar.hide();
     if (sel.isCollapsed
       && (sel.anchorNode && sel.anchorNode.textContent === '')
+      && !['LI', 'PRE'].includes(findParentBlock(sel.anchorNode).tagName)
+      && !this.findCaption(sel.anchorNode)
       && !containsSelection(sel, this.insertToolbar.$ctn)
     ) {
       this.insertToolbar.display();
@@ -629,13 +2568,38 @@ export default {
     return false;
   },
 
+  /**
+   * imageClickHandler - Displays the ImageToolbar when an image is clicked
+   *  and hides it when anything else in the editor is. Clicking an image's
+   *  caption doesn't count as clicking the image.
+   *
+   * @param {MouseEvent} e The click event.
+   *
+   * @returns {boolean} Returns true if the ImageToolbar is displayed else
+   *  false.
+   */
+  imageClickHandler(e) {
+    if (this.imageToolbar.contains(e.target)) return false;
+    const $section = this.findSection(e.target);
+    if (this.isImageSection($section) && !this.findCaption(e.target)) {
+      this.insertToolbar.hide();
+      // The cursor is kept in the image so it can be moved off with the arrow
+      // keys or removed with Backspace (see imageKeyHandler).
+      window.getSelection().collapse($section, 0);
+      return this.imageToolbar.display($section);
+    }
+    this.imageToolbar.hide();
+    return false;
+  },
+
   /**
    * positionCursor - Positions the cursor in a textSection if it isn't in one
    *  already. This method first looks at the previous section (set in the
    *  keydownHandler) and tries to position the cursor there. If that fails, it
    *  will position the cursor in the next adjacent text container, creating one
-   *  if necessary. This method will return false if the cursor is currently in
-   *  one of the toolbars.
+   *  if necessary. Image captions and selected images are left alone. This
+   *  method will return false if the cursor is currently in one of the
+   *  toolbars.
    *
    */
   positionCursor() {
@@ -649,16 +2613,18 @@ export default {
     if (this.editToolbar.contains(section) || this.insertToolbar.contains(section)) {
       return false;
     }
+    if (this.findCaption(sel.anchorNode) || this.selectedImageSection()) return true;
     const range = sel.getRangeAt(0);
     if (
-      !section.classList.contains(this.classes.textSection)
+      !this.isTextBlock(section)
       && section.tagName !== 'H2'
       && section.tagName !== 'H1'
+      && section.tagName !== 'PRE'
     ) {
       if (
         this.prevSection
         && this.$innerCtn.contains(this.prevSection)
-        && this.prevSection.classList.contains(this.classes.textSection)
+        && this.isTextBlock(this.prevSection)
       ) {
         sel.collapse(this.prevSection, this.prevOffset);
       } else {
@@ -677,6 +2643,129 @@ export default {
     return true;
   },
 
+  /*
+  ######## ##     ## ######## ##    ## ########  ######
+  ##       ##     ## ##       ###   ##    ##    ##    ##
+  ##       ##     ## ##       ####  ##    ##    ##
+  ######   ##     ## ######   ## ## ##    ##     ######
+  ##        ##   ##  ##       ##  ####    ##          ##
+  ##         ## ##   ##       ##   ###    ##    ##    ##
+  ########    ###    ######## ##    ##    ##     ######
+  */
+
+  /**
+   * on - Subscribes the given handler to the given Editor event. Available
+   *  events are 'change', 'selectionchange', 'focus', 'blur', 'insert',
+   *  'sanitize', and 'uploaderror'.
+   *
+   * @param {string} type The type of event to listen for.
+   * @param {Function} handler The function to call when the event is emitted.
+   *
+   * @returns {Function || boolean} Returns the handler if it was subscribed,
+   *  else false.
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  },
+
+  /**
+   * off - Unsubscribes the given handler from the given Editor event. If no
+   *  handler is given, all handlers for that event are removed.
+   *
+   * @param {string} [type] The type of event to unsubscribe from.
+   * @param {Function} [handler] The handler to remove.
+   *
+   * @returns {boolean} Returns true if any handler was removed else false.
+   */
+  off(type, handler) {
+    return this.events.off(type, handler);
+  },
+
+  /**
+   * emit - Emits the given event to all of its subscribed handlers.
+   *
+   * @param {string} type The type of event to emit.
+   * @param {Object} [payload] The data describing the event.
+   *
+   * @returns {boolean} Returns true if any handler was called else false.
+   */
+  emit(type, payload) {
+    return this.events.emit(type, payload);
+  },
+
+  /**
+   * notify - Tells the user something, e.g. that something they tried
+   *  couldn't be done. The message is given to options.onMessage if it is a
+   *  function, so the host page can show it its own way, else it is shown as
+   *  a toast (see Messages).
+   *
+   * @param {string} level Either 'info', 'warning', or 'error'. Anything else
+   *  is treated as 'info'.
+   * @param {string} text The message.
+   * @param {Object} [action] Something the user may do about the message, as
+   *  { label, run }, where run is the function to call if they do.
+   *
+   */
+  notify(level, text, action) {
+    const message = {
+      level: messageLevels.includes(level) ? level : 'info',
+      text: String(text),
+    };
+    if (action && typeof action.run === 'function') {
+      message.action = { label: String(action.label), run: action.run };
+    }
+    if (typeof this.options.onMessage === 'function') {
+      this.options.onMessage(message, this);
+    } else {
+      this.messages.show(message.level, message.text, message.action);
+    }
+  },
+
+  /**
+   * checkForChange - Emits the 'change' event if the contents of the editor
+   *  differ from those seen the last time this method was called. This is
+   *  called through this.scheduleChange, which debounces it by
+   *  options.changeDelay milliseconds so a burst of typing results in a single
+   *  event. Autosave, if enabled, is told about the change first.
+   *
+   * @returns {boolean} Returns true if the contents changed else false.
+   */
+  checkForChange() {
+    const html = this.html();
+    if (html === this.lastHTML) return false;
+    this.lastHTML = html;
+    if (this.autosave) this.autosave.changed();
+    this.emit('change', { html });
+    return true;
+  },
+
+  /**
+   * focusHandler - Emits the 'focus' event when focus moves into the editor
+   *  from outside of it. Moving focus between the editor and its toolbars does
+   *  not count as focusing the editor.
+   *
+   * @param {FocusEvent} e The focusin event.
+   *
+   */
+  focusHandler(e) {
+    if (this.hasFocus) return;
+    this.hasFocus = true;
+    this.emit('focus', { event: e });
+  },
+
+  /**
+   * blurHandler - Emits the 'blur' event when focus leaves the editor and its
+   *  toolbars entirely.
+   *
+   * @param {FocusEvent} e The focusout event.
+   *
+   */
+  blurHandler(e) {
+    if (e.relatedTarget && this.$ctn.contains(e.relatedTarget)) return;
+    this.hasFocus = false;
+    this.emit('blur', { event: e });
+  },
+
   /*
   ##     ## ######## #### ##        ######
   ##     ##    ##     ##  ##       ##    ##
@@ -691,8 +2780,9 @@ export default {
    * load - Load a previous version of the editor. The given htmlSTring MUST be
    *  that returned by this.html(true). If the given htmlString doesn not
    *  contain the appropriate $innerCtn class, it will be rejected. If passed
-   *  correctly, the given htmlString will replace the current editor's
-   *  $innerCtn.
+   *  correctly, the given htmlString will be sanitized against the allowed
+   *  tags, attributes, and URL schemes (see this.sanitize) and will then
+   *  replace the current editor's $innerCtn.
    *
    * @param {string} htmlString A string containing a previous state of a
    *  writefree editor.
@@ -712,14 +2802,145 @@ export default {
     } catch (exc) {
       return false;
     }
-    if (newInnerCtn && newInnerCtn.classList.contains(this.innerCtnClass)) {
+    if (
+      newInnerCtn
+      && newInnerCtn.nodeType === Node.ELEMENT_NODE
+      && newInnerCtn.classList.contains(this.innerCtnClass)
+    ) {
+      // Sanitize before the new contents are added to the page, where their
+      // scripts could run.
+      this.sanitize(newInnerCtn, 'load');
+      this.addMissingCaptions(newInnerCtn);
+      this.rebuildEmbeds(newInnerCtn);
+      this.rebuildBlocks(newInnerCtn);
+      // Whitespace between list items would otherwise be treated as text.
+      Array.from(newInnerCtn.querySelectorAll('ul, ol')).forEach(($list) => {
+        Array.from($list.childNodes).forEach((child) => {
+          if (child.nodeType === Node.TEXT_NODE && child.textContent.trim() === '') {
+            $list.removeChild(child);
+          }
+        });
+      });
       this.$ctn.removeChild(this.$innerCtn);
       this.$ctn.appendChild(newInnerCtn);
       this.$innerCtn = newInnerCtn;
+      this.$firstSection = this.$innerCtn.firstChild;
+      if (!this.$firstSection) this.createFirstTextSection();
+      this.prevSection = null;
+      this.prevSectionPrevSibling = null;
+      this.imageToolbar.hide();
+      this.history.clear();
+      this.resetChangeBaseline();
     }
     return this.$ctn.contains(newInnerCtn);
   },
 
+  /**
+   * loadMarkdown - Replaces the contents of the editor with the given
+   *  Markdown. Paragraphs become text sections, headings become large (#) or
+   *  small (## and deeper) headings, and images and thematic breaks become
+   *  container sections.
+   *
+   * @param {string} markdown The Markdown to load.
+   *
+   * @returns {boolean} Returns true if the Markdown was loaded else false.
+   */
+  loadMarkdown(markdown) {
+    if (typeof markdown !== 'string') return false;
+    return this.loadSections(fromMarkdown(markdown, this));
+  },
+
+  /**
+   * fromJSON - Replaces the contents of the editor with the given JSON
+   *  document, as returned by this.toJSON.
+   *
+   * @param {Object || string} doc The JSON document, either as an Object or
+   *  as a JSON string.
+   *
+   * @returns {boolean} Returns true if the document was loaded. Else returns
+   *  false, leaving the editor untouched.
+   */
+  fromJSON(doc) {
+    let parsed = doc;
+    if (typeof doc === 'string') {
+      try {
+        parsed = JSON.parse(doc);
+      } catch (exception) {
+        return false;
+      }
+    }
+    const sections = fromJSON(parsed, this);
+    if (!sections) return false;
+    return this.loadSections(sections);
+  },
+
+  /**
+   * loadSections - Replaces the contents of the editor with the given
+   *  sections. If the last section is a container section, an empty text
+   *  section is added after it so the user always has somewhere to type.
+   *
+   * @param {Element[]} sections The sections to load.
+   *
+   * @returns {boolean} Returns true.
+   */
+  loadSections(sections) {
+    while (this.$innerCtn.firstChild) {
+      this.$innerCtn.removeChild(this.$innerCtn.firstChild);
+    }
+    sections.forEach($section => this.$innerCtn.appendChild($section));
+    const $last = this.$innerCtn.lastChild;
+    if (!$last) {
+      this.$firstSection = null;
+      this.createFirstTextSection();
+    } else {
+      if ($last.classList.contains(this.classes.containerSection)) {
+        const $textSection = this.createTextSection();
+        $textSection.appendChild(document.createElement('br'));
+        this.$innerCtn.appendChild($textSection);
+      }
+      this.$firstSection = this.$innerCtn.firstChild;
+    }
+    this.prevSection = null;
+    this.prevSectionPrevSibling = null;
+    this.imageToolbar.hide();
+    this.history.clear();
+    this.resetChangeBaseline();
+    return true;
+  },
+
+  /**
+   * saveDraft - Saves a draft of the editor's contents immediately rather
+   *  than waiting for autosave.
+   *
+   * @returns {Promise} Resolves to true once the draft has been saved, or
+   *  false if it couldn't be (or autosave isn't enabled).
+   */
+  saveDraft() {
+    if (!this.autosave) return Promise.resolve(false);
+    return this.autosave.save();
+  },
+
+  /**
+   * clearDraft - Removes the autosaved draft. Call this once the contents
+   *  have been saved for good.
+   *
+   * @returns {Promise} Resolves once the draft has been removed.
+   */
+  clearDraft() {
+    if (!this.autosave) return Promise.resolve();
+    return this.autosave.clear();
+  },
+
+  /**
+   * resetChangeBaseline - Marks the current contents of the editor as
+   *  unchanged. Loaded contents are the new baseline for the 'change' event.
+   *
+   */
+  resetChangeBaseline() {
+    this.scheduleChange.cancel();
+    this.lastHTML = this.html();
+  },
+
   /**
    * html - Returns the Editor in HTML form.
    *
@@ -731,9 +2952,83 @@ export default {
   html(editable = false) {
     const returnEl = this.$innerCtn.cloneNode(true);
     returnEl.setAttribute('contenteditable', editable);
+    // Images which are still uploading aren't part of the contents yet.
+    Array.from(returnEl.querySelectorAll(`.${this.classes.uploadSection}`)).forEach(($upload) => {
+      returnEl.removeChild($upload);
+    });
+    // Empty captions are left out; load adds them back (see
+    // addMissingCaptions).
+    Array.from(returnEl.querySelectorAll('figcaption')).forEach(($caption) => {
+      if ($caption.textContent.trim() === '') $caption.parentNode.removeChild($caption);
+    });
+    Array.from(returnEl.querySelectorAll(`.${this.classes.selectedImage}`)).forEach(($section) => {
+      $section.classList.remove(this.classes.selectedImage);
+    });
+    // Embeds are kept as links to their URLs, which load rebuilds (see
+    // rebuildEmbeds).
+    Array.from(returnEl.querySelectorAll(`.${this.classes.embedSection}`)).forEach(($section) => {
+      const url = $section.getAttribute('data-url');
+      const $link = generateElement('a', [], { href: url });
+      $link.textContent = url;
+      while ($section.firstChild) $section.removeChild($section.firstChild);
+      $section.appendChild($link);
+    });
+    if (this.options.sanitizeOutput) this.sanitize(returnEl, 'html');
     return returnEl.outerHTML;
   },
 
+  /**
+   * sanitize - Sanitizes the given element in place against the allow-list
+   *  set by the allowedTags, allowedAttributes, and allowedSchemes options.
+   *  If anything is removed, the 'sanitize' event is emitted with a report of
+   *  what was removed.
+   *
+   * @param {Element} $el The element to sanitize.
+   * @param {string} source What is being sanitized ('load' or 'html').
+   *
+   * @returns {Object[]} The report of what was removed (see sanitize in
+   *  sanitizer.js).
+   */
+  sanitize($el, source) {
+    const removed = sanitize($el, {
+      tags: this.options.allowedTags,
+      attributes: this.options.allowedAttributes,
+      schemes: this.options.allowedSchemes,
+      imageData: this.options.imageDataURLLimit > 0,
+    });
+    if (removed.length > 0) this.emit('sanitize', { source, removed });
+    return removed;
+  },
+
+  /**
+   * markdown - Returns the Editor in Markdown form (see toMarkdown in
+   *  markdown.js). Text sections, headings, lists, quotes, code blocks,
+   *  images (with their captions as titles), embeds (as links), and
+   *  horizontal rules are converted to CommonMark, as are bold, italic,
+   *  strikethrough, inline code, and links. Underline, highlight, custom
+   *  blocks, inline styles, and classes, which Markdown can't represent, are
+   *  left out.
+   *
+   * @returns {string} The Editor in Markdown form.
+   */
+  markdown() {
+    return toMarkdown(this.$innerCtn, this.classes);
+  },
+
+  /**
+   * toJSON - Returns the Editor as a versioned JSON document (see
+   *  DOCUMENT_VERSION in documentJSON.js) made up of paragraph, heading,
+   *  list, quote, code, image (with its caption and layout), divider, embed,
+   *  and custom blocks, whose text keeps its marks. Unlike this.html, the
+   *  document doesn't include any styles or classes so it won't change when
+   *  the editor is restyled.
+   *
+   * @returns {Object} The Editor as a JSON document.
+   */
+  toJSON() {
+    return toJSON(this.$innerCtn, this.classes, $section => this.getBlockData($section));
+  },
+
   /**
    * getToolbar - Returns the Toolbar associated with this Editor.
    *
@@ -741,6 +3036,48 @@ export default {
    */
   getToolbar() { return this.editToolbar; },
 
+  /**
+   * preserveSelection - Calls the given function, which moves nodes within
+   *  the Editor, then restores the selection. A Range collapses when the
+   *  nodes it is in are moved, so the selection would otherwise be lost. If
+   *  the selection was in a node which has since been removed, the cursor is
+   *  placed at the start of the element returned by fn instead.
+   *
+   * @param {Function} fn The function which moves the nodes.
+   *
+   * @returns {*} Returns the value returned by fn.
+   */
+  preserveSelection(fn) {
+    const sel = window.getSelection();
+    const saved = sel.rangeCount > 0 ? sel.getRangeAt(0) : null;
+    const bounds = saved && {
+      startContainer: saved.startContainer,
+      startOffset: saved.startOffset,
+      endContainer: saved.endContainer,
+      endOffset: saved.endOffset,
+    };
+    const result = fn();
+    const range = document.createRange();
+    try {
+      if (
+        !bounds
+        || !this.$innerCtn.contains(bounds.startContainer)
+        || !this.$innerCtn.contains(bounds.endContainer)
+      ) {
+        throw new Error('The selection was removed.');
+      }
+      range.setStart(bounds.startContainer, bounds.startOffset);
+      range.setEnd(bounds.endContainer, bounds.endOffset);
+    } catch (exception) {
+      if (!(result instanceof Element)) return result;
+      range.setStart(result, 0);
+      range.collapse(true);
+    }
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return result;
+  },
+
   /**
    * isFirst - Determines if given HTML Element is the first element of the
    *  Editor.
@@ -0,0 +1,221 @@
+import {
+  debounce,
+  saveSelection,
+  restoreSelection,
+} from './writeFreeLib.js';
+
+// The version of the saved draft format.
+const draftVersion = 1;
+
+/**
+ * getLocalStorage - Returns window.localStorage if it can be used. Accessing
+ *  localStorage throws in some privacy modes.
+ *
+ * @returns {Storage || null} The localStorage, or null if unavailable.
+ */
+function getLocalStorage() {
+  try {
+    const storage = window.localStorage;
+    return storage || null;
+  } catch (exception) {
+    return null;
+  }
+}
+
+/**
+ * Autosave - Saves drafts of the editor's contents to a storage adapter while
+ *  the user writes so their work survives a crashed tab, and offers to
+ *  restore a newer draft when the editor is created.
+ *
+ *  An adapter is any object with getItem(key), setItem(key, value), and
+ *  removeItem(key) methods, each of which may return a Promise. Values are
+ *  strings. window.localStorage is the default adapter.
+ *
+ * @property {Object} adapter - The storage adapter.
+ * @property {string} key - The key under which the draft is stored.
+ */
+export default {
+  /**
+   * init - Initializes Autosave, then checks the adapter for a draft to
+   *  restore. The editor calls this.changed each time its contents change.
+   *
+   * @param {Editor} editor The Editor which owns this Autosave.
+   * @param {Object} options The initialization options provided by the user.
+   *
+   * @returns {Autosave} Returns this.
+   */
+  init(editor, options) {
+    this.editor = editor;
+    this.options = options;
+    this.key = this.options.autosaveKey;
+    this.adapter = this.options.autosaveAdapter || getLocalStorage();
+    this.scheduleSave = debounce(this.save.bind(this), this.options.autosaveDelay);
+    this.dirty = false;
+    if (!this.adapter) return this;
+    // Save any pending changes when the page is being closed.
+    this.editor.listen(window, 'pagehide', this.flush.bind(this));
+    this.ready = this.checkForDraft();
+    return this;
+  },
+
+  /**
+   * changed - Schedules a save, debounced by options.autosaveDelay
+   *  milliseconds. The editor calls this directly rather than through its
+   *  'change' event, so removing the host page's listeners with editor.off
+   *  doesn't stop autosaving.
+   *
+   */
+  changed() {
+    if (!this.adapter) return;
+    this.dirty = true;
+    this.scheduleSave();
+  },
+
+  /**
+   * save - Saves a draft of the editor's contents (as returned by
+   *  editor.html(true)) and the position of the caret.
+   *
+   * @returns {Promise} Resolves to true once the draft has been saved, or
+   *  false if it couldn't be.
+   */
+  save() {
+    if (!this.adapter) return Promise.resolve(false);
+    this.scheduleSave.cancel();
+    this.dirty = false;
+    const draft = {
+      version: draftVersion,
+      html: this.editor.html(true),
+      selection: saveSelection(this.editor.$innerCtn),
+      savedAt: Date.now(),
+    };
+    return Promise.resolve()
+      .then(() => this.adapter.setItem(this.key, JSON.stringify(draft)))
+      .then(() => {
+        this.editor.emit('autosave', { draft });
+        return true;
+      })
+      .catch((error) => {
+        this.editor.emit('autosaveerror', { error });
+        return false;
+      });
+  },
+
+  /**
+   * flush - Saves immediately if there are unsaved changes.
+   *
+   */
+  flush() {
+    this.editor.checkForChange();
+    if (this.dirty) this.save();
+  },
+
+  /**
+   * getDraft - Reads the saved draft from the adapter.
+   *
+   * @returns {Promise} Resolves to the draft, or null if there is no valid
+   *  draft.
+   */
+  getDraft() {
+    return Promise.resolve()
+      .then(() => this.adapter.getItem(this.key))
+      .then((value) => {
+        if (typeof value !== 'string') return null;
+        const draft = JSON.parse(value);
+        if (!draft || draft.version !== draftVersion || typeof draft.html !== 'string') {
+          return null;
+        }
+        return draft;
+      })
+      .catch(() => null);
+  },
+
+  /**
+   * clear - Removes the saved draft. Call this once the contents have been
+   *  saved for good.
+   *
+   * @returns {Promise} Resolves once the draft has been removed.
+   */
+  clear() {
+    this.scheduleSave.cancel();
+    if (!this.adapter) return Promise.resolve();
+    return Promise.resolve()
+      .then(() => this.adapter.removeItem(this.key))
+      .catch((error) => {
+        this.editor.emit('autosaveerror', { error });
+      });
+  },
+
+  /**
+   * checkForDraft - Offers to restore the saved draft if it is newer than
+   *  options.autosaveSince and differs from the editor's contents. The user
+   *  is asked through options.autosaveConfirm, which is given the draft and
+   *  may return a boolean or a Promise resolving to one. Without it, the
+   *  draft is offered through a message instead (see offerRestore), which
+   *  doesn't hold up the page.
+   *
+   * @returns {Promise} Resolves to true if a draft was restored else false.
+   *  It never rejects: if asking the user or restoring the draft throws, the
+   *  'autosaveerror' event is emitted and it resolves to false.
+   */
+  checkForDraft() {
+    return this.getDraft()
+      .then((draft) => {
+        if (
+          !draft
+          || draft.savedAt <= (this.options.autosaveSince || 0)
+          || draft.html === this.editor.html(true)
+        ) {
+          return false;
+        }
+        if (typeof this.options.autosaveConfirm !== 'function') {
+          this.offerRestore(draft);
+          return false;
+        }
+        return Promise.resolve(this.options.autosaveConfirm(draft))
+          .then(restore => Boolean(restore) && this.restore(draft));
+      })
+      .catch((error) => {
+        this.editor.emit('autosaveerror', { error });
+        return false;
+      });
+  },
+
+  /**
+   * offerRestore - Tells the user about the given draft through the editor's
+   *  messages (see Editor.notify), with a button to restore it.
+   *
+   * @param {Object} draft The draft which could be restored.
+   *
+   */
+  offerRestore(draft) {
+    const savedAt = new Date(draft.savedAt).toLocaleString();
+    this.editor.notify('info', `An unsaved draft from ${savedAt} was found.`, {
+      label: 'Restore',
+      run: () => this.restore(draft),
+    });
+  },
+
+  /**
+   * restore - Replaces the editor's contents with the given draft and puts
+   *  the caret back where it was.
+   *
+   * @param {Object} draft The draft to restore.
+   *
+   * @returns {boolean} Returns true if the draft was restored else false.
+   */
+  restore(draft) {
+    if (this.editor.destroyed || !this.editor.load(draft.html)) return false;
+    restoreSelection(this.editor.$innerCtn, draft.selection);
+    this.editor.emit('restore', { draft });
+    return true;
+  },
+
+  /**
+   * destroy - Cancels any pending save. Call flush first to keep unsaved
+   *  changes.
+   *
+   */
+  destroy() {
+    this.scheduleSave.cancel();
+  },
+};
@@ -0,0 +1,116 @@
+// The text inserted by Tab in a code block.
+const indentUnit = '  ';
+
+/**
+ * findCode - Finds the element holding the text of the given code block: its
+ *  code element, or the pre itself if it has none.
+ *
+ * @param {Element} $pre The code block.
+ *
+ * @returns {Element} The element holding the code.
+ */
+function findCode($pre) {
+  return $pre.querySelector('code') || $pre;
+}
+
+/**
+ * getCodeText - Returns the text of the given code block. Code blocks always
+ *  end in a newline so the caret can be placed on their last line; it isn't
+ *  part of the code.
+ *
+ * @param {Element} $pre The code block.
+ *
+ * @returns {string} The code.
+ */
+export function getCodeText($pre) {
+  return findCode($pre).textContent.replace(/\n$/, '');
+}
+
+/**
+ * setCodeText - Replaces the text of the given code block, adding the
+ *  trailing newline (see getCodeText), then selects the given offsets if
+ *  any are given.
+ *
+ * @param {Element} $pre The code block.
+ * @param {string} text The code.
+ * @param {number} [start] The offset at which the selection starts.
+ * @param {number} [end=start] The offset at which the selection ends.
+ *
+ * @returns {Element} The given $pre.
+ */
+export function setCodeText($pre, text, start, end = start) {
+  const $code = findCode($pre);
+  $code.textContent = /\n$/.test(text) ? text : `${text}\n`;
+  if (typeof start === 'number') {
+    const range = document.createRange();
+    range.setStart($code.firstChild, start);
+    range.setEnd($code.firstChild, end);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+  return $pre;
+}
+
+/**
+ * getCodeSelection - Describes the selection within the given code block as
+ *  offsets into its text.
+ *
+ * @param {Element} $pre The code block, which must contain the selection.
+ *
+ * @returns {Object} The selection as { text, start, end }, where text is the
+ *  full text of the code block including its trailing newline.
+ */
+export function getCodeSelection($pre) {
+  const $code = findCode($pre);
+  const selected = window.getSelection().getRangeAt(0);
+  const range = document.createRange();
+  range.setStart($code, 0);
+  range.setEnd(selected.startContainer, selected.startOffset);
+  const start = range.toString().length;
+  range.setEnd(selected.endContainer, selected.endOffset);
+  return { text: $code.textContent, start, end: range.toString().length };
+}
+
+/**
+ * indentLines - Indents, or outdents, each line of the given text touched by
+ *  the given offsets.
+ *
+ * @param {string} text The text.
+ * @param {number} start The offset at which the selection starts.
+ * @param {number} end The offset at which the selection ends.
+ * @param {boolean} [outdent=false] If true, removes one level of indentation
+ *  instead.
+ *
+ * @returns {Object} The changed text and the new offsets of the selection as
+ *  { text, start, end }.
+ */
+export function indentLines(text, start, end, outdent = false) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lines = text.slice(lineStart).split('\n');
+  let newStart = start;
+  let newEnd = end;
+  let position = lineStart;
+  // The change in length of the lines before the current one.
+  let delta = 0;
+  const newLines = lines.map((line, i) => {
+    const lineEnd = position + line.length + 1;
+    // A line starting where a selection ends isn't part of it.
+    if (i > 0 && position >= end) {
+      position = lineEnd;
+      return line;
+    }
+    let newLine = `${indentUnit}${line}`;
+    if (outdent) {
+      newLine = line.slice(Math.min(line.match(/^ */)[0].length, indentUnit.length));
+    }
+    const change = newLine.length - line.length;
+    const newPosition = position + delta;
+    if (i === 0) newStart = Math.max(newPosition, start + change);
+    newEnd = Math.max(newPosition, end + delta + change);
+    delta += change;
+    position = lineEnd;
+    return newLine;
+  });
+  return { text: text.slice(0, lineStart) + newLines.join('\n'), start: newStart, end: newEnd };
+}
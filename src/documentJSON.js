@@ -0,0 +1,457 @@
+import {
+  isSafeURL,
+  captionText,
+  isList,
+  findSublist,
+} from './writeFreeLib.js';
+import { getCodeText, setCodeText } from './codeBlock.js';
+
+/**
+ * The version of the JSON document format. This must be bumped whenever the
+ *  format itself changes, never when the editor is restyled, so that older
+ *  releases reject documents they can't fully read rather than silently
+ *  dropping what they don't know. Documents of a newer version than this are
+ *  rejected by fromJSON; older versions must stay readable.
+ *
+ * The format is:
+ *
+ *  {
+ *    version: 1,
+ *    blocks: [
+ *      { type: 'paragraph', content: [Text] },
+ *      { type: 'heading', level: 1 || 2, content: [Text] },
+ *      { type: 'quote', pull: boolean, content: [Text] },
+ *      { type: 'image', src: string, alt: string, caption: string,
+ *        layout: string },
+ *      { type: 'divider' },
+ *      { type: 'embed', provider: string, url: string },
+ *      { type: 'block', name: string, data: any },
+ *      { type: 'list', ordered: boolean, items: [Item] },
+ *      { type: 'code', language: string, text: string },
+ *    ],
+ *  }
+ *
+ *  where each Text is { text: string, marks: [Mark] } and each Mark is one
+ *  of { type: 'bold' }, { type: 'italic' }, { type: 'strike' },
+ *  { type: 'underline' }, { type: 'highlight' }, { type: 'code' } or
+ *  { type: 'link', href: string }. A link may also have title: string and,
+ *  if it opens in a new tab, newTab: true.
+ *  An image's layout is the name of one of the editor's image layouts, e.g.
+ *  'inset' or 'full'. An embed's provider is the name of the embed provider
+ *  its URL matched, e.g. 'youtube'; embeds are rebuilt from their URLs. A
+ *  block is a custom block whose name is one of options.blockTypes.
+ *  Line breaks are kept as '\n' in the text. Each Item is
+ *  { content: [Text] } and may also have a nested list as
+ *  list: { ordered: boolean, items: [Item] }.
+ */
+export const DOCUMENT_VERSION = 1;
+
+// The order in which marks are listed and nested.
+const markOrder = ['link', 'bold', 'italic', 'strike', 'underline', 'highlight', 'code'];
+
+// The mark represented by each inline tag.
+const markTags = {
+  A: 'link',
+  B: 'bold',
+  STRONG: 'bold',
+  I: 'italic',
+  EM: 'italic',
+  S: 'strike',
+  STRIKE: 'strike',
+  DEL: 'strike',
+  U: 'underline',
+  MARK: 'highlight',
+  CODE: 'code',
+};
+
+// The tag rendered for each mark other than links.
+const markElements = {
+  bold: 'b',
+  italic: 'i',
+  strike: 's',
+  underline: 'u',
+  highlight: 'mark',
+  code: 'code',
+};
+
+/**
+ * sameMarks - Determines whether the given lists of marks are equal.
+ *
+ * @param {Object[]} marksA The first list of marks.
+ * @param {Object[]} marksB The second list of marks.
+ *
+ * @returns {boolean} Returns true if the marks are equal else false.
+ */
+function sameMarks(marksA, marksB) {
+  return marksA.length === marksB.length
+    && marksA.every((mark, i) => (
+      mark.type === marksB[i].type
+      && mark.href === marksB[i].href
+      && mark.title === marksB[i].title
+      && mark.newTab === marksB[i].newTab
+    ));
+}
+
+/**
+ * linkMark - Returns the link mark (see DOCUMENT_VERSION) for the given link.
+ *
+ * @param {Element} $link The link.
+ *
+ * @returns {Object} The link mark.
+ */
+function linkMark($link) {
+  const mark = { type: 'link', href: $link.getAttribute('href') || '' };
+  if ($link.getAttribute('title')) mark.title = $link.getAttribute('title');
+  if ($link.getAttribute('target') === '_blank') mark.newTab = true;
+  return mark;
+}
+
+/**
+ * addMark - Returns a copy of the given marks with the given mark added, in
+ *  canonical order. If a mark of the same type is already present it is
+ *  replaced.
+ *
+ * @param {Object[]} marks The current marks.
+ * @param {Object} mark The mark to add.
+ *
+ * @returns {Object[]} The new list of marks.
+ */
+function addMark(marks, mark) {
+  return marks
+    .filter(current => current.type !== mark.type)
+    .concat(mark)
+    .sort((a, b) => markOrder.indexOf(a.type) - markOrder.indexOf(b.type));
+}
+
+/**
+ * inlineToJSON - Converts the children of the given node into a list of text
+ *  runs. Adjacent runs with the same marks are merged and all elements other
+ *  than marks (see markTags) are replaced by their contents.
+ *
+ * @param {Node} node The node whose children to convert.
+ * @param {Object[]} [marks=[]] The marks applied to the node.
+ * @param {Object[]} [runs=[]] The list of runs to add to.
+ *
+ * @returns {Object[]} The list of text runs.
+ */
+export function inlineToJSON(node, marks = [], runs = []) {
+  Array.from(node.childNodes).forEach((child) => {
+    let text = null;
+    if (child.nodeType === Node.TEXT_NODE) {
+      text = child.textContent.replace(/\u00a0/g, ' ');
+    } else if (child.tagName === 'BR') {
+      // A trailing <br> only keeps an empty section open.
+      if (child.nextSibling) text = '\n';
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      let childMarks = marks;
+      const type = markTags[child.tagName];
+      if (type === 'link') {
+        childMarks = addMark(marks, linkMark(child));
+      } else if (type) {
+        childMarks = addMark(marks, { type });
+      }
+      inlineToJSON(child, childMarks, runs);
+    }
+    if (!text) return;
+    const last = runs[runs.length - 1];
+    if (last && sameMarks(last.marks, marks)) {
+      last.text += text;
+    } else {
+      runs.push({ text, marks });
+    }
+  });
+  return runs;
+}
+
+/**
+ * listToJSON - Converts the given list into { ordered, items } (see
+ *  DOCUMENT_VERSION).
+ *
+ * @param {Element} $list The ul or ol to convert.
+ *
+ * @returns {Object} The list.
+ */
+function listToJSON($list) {
+  const items = [];
+  Array.from($list.children).forEach(($item) => {
+    if ($item.tagName !== 'LI') return;
+    const $sublist = findSublist($item);
+    const $content = document.createElement('div');
+    Array.from($item.childNodes).forEach((child) => {
+      if (child !== $sublist) $content.appendChild(child.cloneNode(true));
+    });
+    const item = { content: inlineToJSON($content) };
+    if ($sublist) item.list = listToJSON($sublist);
+    items.push(item);
+  });
+  return { ordered: $list.tagName === 'OL', items };
+}
+
+/**
+ * toJSON - Converts the sections of a WriteFree editor into a JSON document
+ *  (see DOCUMENT_VERSION for the format). Empty text sections are left out.
+ *
+ * @param {Element} $innerCtn The editor's inner container.
+ * @param {Object} classes The editor's classes (see Editor.generateClasses).
+ * @param {Function} [getBlockData] Given a custom block's container section,
+ *  returns its data or null (see Editor.getBlockData). Blocks are left out
+ *  without it.
+ *
+ * @returns {Object} The contents of the editor as a JSON document.
+ */
+export function toJSON($innerCtn, classes, getBlockData = () => null) {
+  const blocks = [];
+  Array.from($innerCtn.children).forEach(($section) => {
+    if ($section.classList.contains(classes.containerSection)) {
+      const $img = $section.querySelector('img');
+      if ($section.hasAttribute('data-block')) {
+        const data = getBlockData($section);
+        if (data !== null) blocks.push({ type: 'block', name: $section.getAttribute('data-block'), data });
+      } else if ($section.getAttribute('data-url')) {
+        blocks.push({
+          type: 'embed',
+          provider: $section.getAttribute('data-embed') || '',
+          url: $section.getAttribute('data-url'),
+        });
+      } else if ($img) {
+        blocks.push({
+          type: 'image',
+          src: $img.getAttribute('src') || '',
+          alt: $img.getAttribute('alt') || '',
+          caption: captionText($section),
+          layout: $section.getAttribute('data-layout') || 'inset',
+        });
+      } else if ($section.querySelector('hr')) {
+        blocks.push({ type: 'divider' });
+      }
+      return;
+    }
+    if (isList($section)) {
+      const list = listToJSON($section);
+      if (list.items.length > 0) blocks.push(Object.assign({ type: 'list' }, list));
+      return;
+    }
+    if ($section.tagName === 'PRE') {
+      blocks.push({
+        type: 'code',
+        language: $section.getAttribute('data-language') || '',
+        text: getCodeText($section),
+      });
+      return;
+    }
+    const content = inlineToJSON($section);
+    if (content.every(run => run.text.trim().length === 0)) return;
+    if ($section.tagName === 'H1' || $section.tagName === 'H2') {
+      blocks.push({ type: 'heading', level: $section.tagName === 'H1' ? 1 : 2, content });
+    } else if ($section.tagName === 'BLOCKQUOTE') {
+      blocks.push({ type: 'quote', pull: $section.classList.contains(classes.pullQuote), content });
+    } else {
+      blocks.push({ type: 'paragraph', content });
+    }
+  });
+  return { version: DOCUMENT_VERSION, blocks };
+}
+
+/**
+ * mergeAdjacent - Merges adjacent inline elements of the same kind (e.g. two
+ *  bold elements or two links to the same URL) within the given element.
+ *
+ * @param {Element} $el The element whose children to merge.
+ *
+ * @returns {Element} The given $el.
+ */
+export function mergeAdjacent($el) {
+  let $child = $el.firstChild;
+  while ($child) {
+    const $next = $child.nextSibling;
+    if (
+      $next
+      && $child.nodeType === Node.ELEMENT_NODE
+      && $next.nodeType === Node.ELEMENT_NODE
+      && markTags[$child.tagName]
+      && $child.tagName === $next.tagName
+      && $child.getAttribute('href') === $next.getAttribute('href')
+      && $child.getAttribute('title') === $next.getAttribute('title')
+      && $child.getAttribute('target') === $next.getAttribute('target')
+    ) {
+      while ($next.firstChild) $child.appendChild($next.firstChild);
+      $el.removeChild($next);
+    } else {
+      if ($child.nodeType === Node.ELEMENT_NODE) mergeAdjacent($child);
+      $child = $next;
+    }
+  }
+  return $el;
+}
+
+/**
+ * renderContent - Appends the given text runs to the given section. Links
+ *  with unsafe URLs are replaced by their text.
+ *
+ * @param {Object[]} content The text runs to render.
+ * @param {Element} $section The section to which they will be appended.
+ * @param {string[]} schemes The URL schemes allowed in links (see
+ *  options.allowedSchemes).
+ *
+ * @returns {Element} The given $section.
+ */
+export function renderContent(content, $section, schemes) {
+  if (!Array.isArray(content)) return $section;
+  content.forEach((run) => {
+    if (!run || typeof run.text !== 'string') return;
+    const marks = Array.isArray(run.marks) ? run.marks : [];
+    let $node = document.createDocumentFragment();
+    run.text.split('\n').forEach((line, i) => {
+      if (i > 0) $node.appendChild(document.createElement('br'));
+      if (line.length > 0) $node.appendChild(document.createTextNode(line));
+    });
+    markOrder.slice().reverse().forEach((type) => {
+      const mark = marks.find(current => current && current.type === type);
+      if (!mark) return;
+      let $wrapper = null;
+      if (markElements[type]) {
+        $wrapper = document.createElement(markElements[type]);
+      } else if (typeof mark.href === 'string' && isSafeURL(mark.href, schemes)) {
+        $wrapper = document.createElement('a');
+        $wrapper.setAttribute('href', mark.href);
+        if (typeof mark.title === 'string' && mark.title) $wrapper.setAttribute('title', mark.title);
+        if (mark.newTab === true) {
+          $wrapper.setAttribute('target', '_blank');
+          $wrapper.setAttribute('rel', 'noopener noreferrer');
+        }
+      }
+      if ($wrapper) {
+        $wrapper.appendChild($node);
+        $node = $wrapper;
+      }
+    });
+    $section.appendChild($node);
+  });
+  return mergeAdjacent($section);
+}
+
+/**
+ * renderList - Appends the items of the given list (see DOCUMENT_VERSION) to
+ *  the given ul or ol.
+ *
+ * @param {Object} list The list to render.
+ * @param {Element} $list The ul or ol to which the items will be appended.
+ * @param {string[]} schemes The URL schemes allowed in links.
+ *
+ * @returns {Element} The given $list.
+ */
+function renderList(list, $list, schemes) {
+  if (!Array.isArray(list.items)) return $list;
+  list.items.forEach((item) => {
+    if (!item || typeof item !== 'object') return;
+    const $item = renderContent(item.content, document.createElement('li'), schemes);
+    if ($item.childNodes.length === 0) $item.appendChild(document.createElement('br'));
+    if (item.list && typeof item.list === 'object') {
+      const $sublist = document.createElement(item.list.ordered ? 'ol' : 'ul');
+      renderList(item.list, $sublist, schemes);
+      if ($sublist.children.length > 0) $item.appendChild($sublist);
+    }
+    $list.appendChild($item);
+  });
+  return $list;
+}
+
+/**
+ * blocksToSections - Converts the given blocks (see DOCUMENT_VERSION) into
+ *  WriteFree sections using the given Editor's section factories. Blocks of
+ *  unknown types are skipped. Links must use one of the Editor's
+ *  options.allowedSchemes, and images must pass editor.isAllowedImageURL.
+ *
+ * @param {Object[]} blocks The blocks to convert.
+ * @param {Editor} editor The Editor whose factories will create the sections.
+ *
+ * @returns {Element[]} The newly-created sections.
+ */
+export function blocksToSections(blocks, editor) {
+  const schemes = editor.options.allowedSchemes;
+  const sections = [];
+  blocks.forEach((block) => {
+    if (!block || typeof block !== 'object') return;
+    switch (block.type) {
+      case 'paragraph':
+        sections.push(renderContent(block.content, editor.createTextSection(), schemes));
+        break;
+      case 'heading':
+        sections.push(renderContent(
+          block.content,
+          editor.createHeadingSection(block.level),
+          schemes,
+        ));
+        break;
+      case 'quote':
+        sections.push(renderContent(
+          block.content,
+          editor.createQuoteSection(Boolean(block.pull)),
+          schemes,
+        ));
+        break;
+      case 'image':
+        if (editor.isAllowedImageURL(block.src)) {
+          sections.push(editor.createImageSection(
+            block.src,
+            String(block.alt || ''),
+            String(block.caption || ''),
+            String(block.layout || 'inset'),
+          ));
+        }
+        break;
+      case 'divider':
+        sections.push(editor.createLineSection());
+        break;
+      case 'block': {
+        const $block = typeof block.name === 'string' && editor.createBlockSection(block.name, block.data);
+        if ($block) sections.push($block);
+        break;
+      }
+      case 'embed': {
+        const $embed = typeof block.url === 'string' && editor.createEmbedSection(block.url);
+        if ($embed) sections.push($embed);
+        break;
+      }
+      case 'code':
+        if (typeof block.text === 'string') {
+          const $code = editor.createCodeSection(String(block.language || ''));
+          sections.push(setCodeText($code, block.text));
+        }
+        break;
+      case 'list': {
+        const $list = renderList(block, editor.createListSection(Boolean(block.ordered)), schemes);
+        if ($list.children.length > 0) sections.push($list);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return sections;
+}
+
+/**
+ * fromJSON - Converts the given JSON document into WriteFree sections using the
+ *  given Editor's section factories. Blocks of unknown types are skipped.
+ *
+ * @param {Object} doc The JSON document to convert.
+ * @param {Editor} editor The Editor whose factories will create the sections.
+ *
+ * @returns {Element[] || boolean} The newly-created sections, or false if the
+ *  given doc isn't a JSON document this version of WriteFree understands
+ *  (see DOCUMENT_VERSION).
+ */
+export function fromJSON(doc, editor) {
+  if (
+    !doc
+    || typeof doc !== 'object'
+    || !Number.isInteger(doc.version)
+    || doc.version < 1
+    || doc.version > DOCUMENT_VERSION
+    || !Array.isArray(doc.blocks)
+  ) {
+    return false;
+  }
+  return blocksToSections(doc.blocks, editor);
+}
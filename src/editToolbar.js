@@ -1,6 +1,9 @@
 import {
   findNodeType,
+  findParentBlock,
   containsSelection,
+  validateURL,
+  isSafeURL,
 } from './writeFreeLib.js';
 
 import BaseToolbar from './tb_components/baseToolbar.js';
@@ -35,50 +38,157 @@ editToolbar.init = function init(editor, options) {
  *  appropriate event listeners, and attaches them to the $ctn.
  */
 editToolbar.createToolbarBtns = function createToolbarBtns() {
+  const { keymap } = this.editor;
   this.boldBtn = Object.create(ToolbarButton);
-  this.boldBtn.init('<b>B</b>', 'Bold Selection', this.editor.boldSelection.bind(this.editor), this.$btnCtn);
+  this.boldBtn.init('<b>B</b>', keymap.title('Bold Selection', 'bold'), () => this.markBtnHandler('bold'), this.$btnCtn);
   this.italicBtn = Object.create(ToolbarButton);
-  this.italicBtn.init('<i>i</i>', 'Italicize Selection', this.editor.italicizeSelection.bind(this.editor), this.$btnCtn);
+  this.italicBtn.init('<i>i</i>', keymap.title('Italicize Selection', 'italic'), () => this.markBtnHandler('italic'), this.$btnCtn);
+  this.strikeBtn = Object.create(ToolbarButton);
+  this.strikeBtn.init('<s>S</s>', keymap.title('Strike Through Selection', 'strike'), () => this.markBtnHandler('strike'), this.$btnCtn);
+  this.underlineBtn = Object.create(ToolbarButton);
+  this.underlineBtn.init('<u>U</u>', keymap.title('Underline Selection', 'underline'), () => this.markBtnHandler('underline'), this.$btnCtn);
+  this.codeBtn = Object.create(ToolbarButton);
+  this.codeBtn.init('&lt;/&gt;', keymap.title('Format Selection as Code', 'code'), () => this.markBtnHandler('code'), this.$btnCtn);
+  this.highlightBtn = Object.create(ToolbarButton);
+  this.highlightBtn.init('<mark>H</mark>', keymap.title('Highlight Selection', 'highlight'), () => this.markBtnHandler('highlight'), this.$btnCtn);
+  // The button for each mark, keyed by mark type.
+  this.markBtns = {
+    bold: this.boldBtn,
+    italic: this.italicBtn,
+    strike: this.strikeBtn,
+    underline: this.underlineBtn,
+    code: this.codeBtn,
+    highlight: this.highlightBtn,
+  };
   this.headingBtn = Object.create(ToolbarButton);
-  this.headingBtn.init('H', 'Wrap Selection with Heading', this.editor.wrapHeading.bind(this.editor), this.$btnCtn);
+  this.headingBtn.init('H', keymap.title('Wrap Selection with Heading', 'heading1', 'heading2'), () => this.editor.wrapHeading(), this.$btnCtn);
+  this.quoteBtn = Object.create(ToolbarButton);
+  this.quoteBtn.init('&ldquo;', keymap.title('Wrap Selection with Quote', 'quote'), () => this.editor.wrapQuote(), this.$btnCtn);
   this.linkBtn = Object.create(ToolbarButton);
-  this.linkBtn.init('🔗', 'Wrap Selection with Link', this.linkBtnHandler.bind(this), this.$btnCtn);
+  this.linkBtn.init('🔗', keymap.title('Add or Edit Link', 'link'), this.linkBtnHandler.bind(this), this.$btnCtn);
+  this.bulletListBtn = Object.create(ToolbarButton);
+  this.bulletListBtn.init('&bull;', keymap.title('Toggle Bulleted List', 'bulletList'), () => this.editor.toggleList(false), this.$btnCtn);
+  this.orderedListBtn = Object.create(ToolbarButton);
+  this.orderedListBtn.init('1.', keymap.title('Toggle Numbered List', 'orderedList'), () => this.editor.toggleList(true), this.$btnCtn);
 };
 
 /**
  * toggleDisabledButtons - Disables buttons as necessary. As of now, if a the
  *  current selection contains a heading, all buttons other than the heading
- *  button are disabled.
+ *  and quote buttons (including every mark button) are disabled. If it is in
+ *  a list, the heading and quote buttons are disabled, and if it is in a code
+ *  block or an image caption all buttons are disabled. Quotes are treated as
+ *  text.
  *
  * @param {Range} range The current range.
  *
  */
 editToolbar.toggleDisabledButtons = function toggleDisabledButtons() {
+  // Captions are plain text, so are treated like code.
+  const inCode = Boolean(findNodeType(this.currentRange.commonAncestorContainer, 'PRE'))
+    || Boolean(this.editor.findCaption(this.currentRange.commonAncestorContainer));
   if (
     findNodeType(this.currentRange.commonAncestorContainer, 'H1')
     || findNodeType(this.currentRange.commonAncestorContainer, 'H2')
+    || inCode
   ) {
     this.linkBtn.disable();
-    this.boldBtn.disable();
-    this.italicBtn.disable();
+    Object.keys(this.markBtns).forEach(type => this.markBtns[type].disable());
+    this.bulletListBtn.disable();
+    this.orderedListBtn.disable();
   } else {
     this.linkBtn.enable();
-    this.boldBtn.enable();
-    this.italicBtn.enable();
+    Object.keys(this.markBtns).forEach(type => this.markBtns[type].enable());
+    this.bulletListBtn.enable();
+    this.orderedListBtn.enable();
+  }
+  if (findParentBlock(this.currentRange.startContainer).tagName === 'LI' || inCode) {
+    this.headingBtn.disable();
+    this.quoteBtn.disable();
+  } else {
+    this.headingBtn.enable();
+    this.quoteBtn.enable();
+  }
+};
+
+/**
+ * toggleActiveMarks - Marks the button of each mark applied to all of the
+ *  selected text as active.
+ *
+ * @param {Range} range The current range.
+ *
+ */
+editToolbar.toggleActiveMarks = function toggleActiveMarks(range) {
+  Object.keys(this.markBtns).forEach((type) => {
+    if (this.editor.isMarkActive(type, range)) {
+      this.markBtns[type].markActive();
+    } else {
+      this.markBtns[type].markInactive();
+    }
+  });
+};
+
+/**
+ * markBtnHandler - Handler for when a mark button is clicked. Toggles the
+ *  mark, then updates the buttons' active states to match.
+ *
+ * @param {string} type The type of mark (see Editor.toggleMark).
+ *
+ */
+editToolbar.markBtnHandler = function markBtnHandler(type) {
+  this.editor.toggleMark(type);
+  const sel = window.getSelection();
+  if (sel.rangeCount > 0) this.toggleActiveMarks(sel.getRangeAt(0));
+};
+
+/**
+ * toggleActiveList - Marks the list button matching the list containing the
+ *  current selection, if any, as active.
+ *
+ */
+editToolbar.toggleActiveList = function toggleActiveList() {
+  const $block = findParentBlock(this.currentRange.startContainer);
+  const listTag = $block.tagName === 'LI' ? $block.parentNode.tagName : null;
+  if (listTag === 'UL') {
+    this.bulletListBtn.markActive();
+  } else {
+    this.bulletListBtn.markInactive();
+  }
+  if (listTag === 'OL') {
+    this.orderedListBtn.markActive();
+  } else {
+    this.orderedListBtn.markInactive();
+  }
+};
+
+/**
+ * toggleActiveQuote - Marks the quote button as active if the current
+ *  selection is in a quote.
+ *
+ */
+editToolbar.toggleActiveQuote = function toggleActiveQuote() {
+  if (findParentBlock(this.currentRange.startContainer).tagName === 'BLOCKQUOTE') {
+    this.quoteBtn.markActive();
+  } else {
+    this.quoteBtn.markInactive();
   }
 };
 
 /**
  * toggleActiveLink - If ads the active class to the link button if the
  *  current selection contains a link. It also attaches a currentLink
- *  attribute to the link button so the link can be removed.
+ *  attribute to the link button so the link can be edited.
  *
  * @param {Selection} sel The current selection.
  *
  */
 editToolbar.toggleActiveLink = function toggleActiveLink(sel) {
   const range = sel.getRangeAt(0);
-  const currentLink = findNodeType(range.commonAncestorContainer, 'A');
+  const node = range.commonAncestorContainer;
+  // The selection may be within a link, even within formatting in it, or
+  // contain one.
+  const $el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+  const currentLink = $el.closest('a') || findNodeType(node, 'A');
   if (currentLink && sel.containsNode(currentLink, true)) {
     this.linkBtn.markActive();
     this.linkBtn.currentLink = currentLink;
@@ -89,20 +199,144 @@ editToolbar.toggleActiveLink = function toggleActiveLink(sel) {
 };
 
 /**
- * linkBtnHandler - Handler for when $linkBtn is clicked.
+ * linkBtnHandler - Handler for when $linkBtn is clicked. Displays the input
+ *  for the selection's link, filled in with its URL, or for a new link around
+ *  the selection. Next to the input are buttons to save the link, open it in
+ *  a new tab when clicked, give it a title, open it, and remove it.
  *
- * @returns {boolean} Returns true if successful else false.
  */
 editToolbar.linkBtnHandler = function linkBtnHandler() {
-  if (this.linkBtn.currentLink) {
-    this.editor.removeLink(this.linkBtn.currentLink);
-    this.linkBtn.currentLink = null;
-    this.linkBtn.markInactive();
+  const $link = this.linkBtn.currentLink;
+  // The link as it will be saved, along with the field being typed in.
+  this.linkDraft = {
+    $link,
+    href: $link ? $link.getAttribute('href') || '' : '',
+    title: $link ? $link.getAttribute('title') || '' : '',
+    newTab: $link ? $link.getAttribute('target') === '_blank' : false,
+    field: 'href',
+  };
+  this.input.setSaveHandler(this.saveLink.bind(this));
+  this.input.preventHideOnEnter = true;
+  this.input.addAction('&check;', 'Save Link', this.saveLink.bind(this));
+  this.newTabBtn = this.input.addAction('&#x29C9;', 'Open in a New Tab', this.toggleLinkNewTab.bind(this));
+  this.titleBtn = this.input.addAction('T', 'Edit Title', this.toggleLinkTitle.bind(this));
+  this.input.addAction('&#x2197;', 'Open Link', this.openLink.bind(this));
+  const removeBtn = this.input.addAction('&#x2298;', 'Remove Link', this.removeLinkBtnHandler.bind(this));
+  if (!$link) removeBtn.disable();
+  if (this.linkDraft.newTab) this.newTabBtn.markActive();
+  this.hideButtons();
+  this.input.display('Type a link...');
+  this.input.setValue(this.linkDraft.href);
+};
+
+/**
+ * readLinkField - Keeps the value typed in the input as the field of the link
+ *  being edited which it shows (see linkBtnHandler).
+ *
+ */
+editToolbar.readLinkField = function readLinkField() {
+  this.linkDraft[this.linkDraft.field] = this.input.getValue().trim();
+};
+
+/**
+ * showLinkField - Shows the given field of the link being edited in the input.
+ *
+ * @param {string} field Either 'href' or 'title'.
+ *
+ */
+editToolbar.showLinkField = function showLinkField(field) {
+  this.linkDraft.field = field;
+  if (field === 'title') {
+    this.titleBtn.markActive();
+    this.input.clear('Add a title (optional)...');
+  } else {
+    this.titleBtn.markInactive();
+    this.input.clear('Type a link...');
+  }
+  this.input.setValue(this.linkDraft[field]);
+  this.input.focus();
+};
+
+/**
+ * saveLink - Acts as the save handler for the link input. Saves the link
+ *  being edited, or wraps the selection in a new one, then hides the input.
+ *  If the link can't be saved, the user is told why and its URL is shown so
+ *  they can fix it.
+ *
+ */
+editToolbar.saveLink = function saveLink() {
+  if (!this.linkDraft) return;
+  this.readLinkField();
+  const { $link, href } = this.linkDraft;
+  const attributes = { title: this.linkDraft.title, newTab: this.linkDraft.newTab };
+  const saved = $link
+    ? this.editor.updateLink($link, href, attributes)
+    : this.editor.wrapLink(href, this.input.currentRange, attributes);
+  if (saved) {
+    this.linkDraft = null;
+    this.input.hide();
+  } else {
+    this.showLinkField('href');
+  }
+};
+
+/**
+ * toggleLinkNewTab - Toggles whether the link being edited opens in a new tab.
+ *
+ */
+editToolbar.toggleLinkNewTab = function toggleLinkNewTab() {
+  if (!this.linkDraft) return;
+  this.linkDraft.newTab = !this.linkDraft.newTab;
+  if (this.linkDraft.newTab) {
+    this.newTabBtn.markActive();
   } else {
-    this.input.setSaveHandler(this.editor.wrapLink);
-    this.hideButtons();
-    this.input.display('Type a link...');
+    this.newTabBtn.markInactive();
   }
+  this.input.focus();
+};
+
+/**
+ * toggleLinkTitle - Switches the input between the URL and the title of the
+ *  link being edited.
+ *
+ */
+editToolbar.toggleLinkTitle = function toggleLinkTitle() {
+  if (!this.linkDraft) return;
+  this.readLinkField();
+  this.showLinkField(this.linkDraft.field === 'title' ? 'href' : 'title');
+};
+
+/**
+ * openLink - Opens the URL of the link being edited in a new tab, as typed
+ *  so far.
+ *
+ */
+editToolbar.openLink = function openLink() {
+  if (!this.linkDraft) return;
+  this.readLinkField();
+  const { $link, href } = this.linkDraft;
+  const url = $link && href === $link.getAttribute('href') ? href : validateURL(href);
+  if (!url || !isSafeURL(url, this.options.allowedSchemes)) {
+    this.editor.notify('warning', 'That isn\'t a valid link.');
+    return;
+  }
+  window.open(url, '_blank', 'noopener,noreferrer');
+};
+
+/**
+ * removeLinkBtnHandler - Handler for when the input's remove button is
+ *  clicked. Replaces the link being edited with its text.
+ *
+ */
+editToolbar.removeLinkBtnHandler = function removeLinkBtnHandler() {
+  if (!this.linkDraft || !this.linkDraft.$link) return;
+  const { $link } = this.linkDraft;
+  this.linkDraft = null;
+  // Hiding the input gives the selection back to the editor.
+  this.input.hide();
+  this.editor.removeLink($link);
+  this.linkBtn.currentLink = null;
+  this.linkBtn.markInactive();
 };
 
 /**
@@ -118,6 +352,9 @@ editToolbar.display = function display(sel = null) {
   if (containsSelection(sel, this.$ctn)) return false;
   this.currentRange = sel.getRangeAt(0);
   this.toggleActiveLink(sel);
+  this.toggleActiveMarks(this.currentRange);
+  this.toggleActiveList();
+  this.toggleActiveQuote();
   this.toggleDisabledButtons();
   return this.baseDisplay();
 };
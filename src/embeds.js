@@ -0,0 +1,78 @@
+/**
+ * The sandbox given to embedded iframes unless their provider gives its own.
+ *  Players need scripts, and their own origin for their cookies and storage,
+ *  but nothing else the page trusts.
+ */
+export const defaultEmbedSandbox = 'allow-scripts allow-same-origin allow-presentation allow-popups';
+
+// The height of an embed as a fraction of its width, unless its provider
+// gives its own.
+const defaultAspectRatio = 9 / 16;
+
+/**
+ * The default embed providers, keyed by name. Each provider has a pattern, a
+ *  RegExp tested against the URL the user gives, and a src function which is
+ *  given the pattern's match and returns the URL to embed. Providers may also
+ *  give a title for the iframe, an aspectRatio (height / width), and a
+ *  sandbox. Providers with video set embed a video element rather than an
+ *  iframe. No provider asks a server about the URL; the embed is worked out
+ *  from the URL alone.
+ */
+export const defaultEmbedProviders = {
+  youtube: {
+    pattern: /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/,
+    src: match => `https://www.youtube-nocookie.com/embed/${match[1]}`,
+    title: 'YouTube video',
+  },
+  vimeo: {
+    pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/,
+    src: match => `https://player.vimeo.com/video/${match[1]}`,
+    title: 'Vimeo video',
+  },
+  codepen: {
+    pattern: /^https?:\/\/codepen\.io\/([\w-]+)\/(?:pen|embed)\/(\w+)/,
+    src: match => `https://codepen.io/${match[1]}/embed/${match[2]}?default-tab=result`,
+    title: 'CodePen',
+    aspectRatio: 3 / 4,
+  },
+  video: {
+    pattern: /^https?:\/\/[^\s?#]+\.mp4(?:[?#]\S*)?$/i,
+    src: match => match[0],
+    video: true,
+  },
+};
+
+/**
+ * findEmbed - Finds the first of the given providers whose pattern matches
+ *  the given URL and works out the embed.
+ *
+ * @param {string} url The URL to embed.
+ * @param {Object} providers The embed providers, keyed by name (see
+ *  defaultEmbedProviders). Entries which aren't providers, e.g. false, are
+ *  skipped.
+ *
+ * @returns {Object || null} The embed as { provider, url, src, title, video,
+ *  aspectRatio, sandbox }, or null if no provider matches.
+ */
+export default function findEmbed(url, providers) {
+  let embed = null;
+  Object.keys(providers).some((name) => {
+    const provider = providers[name];
+    if (!provider || !(provider.pattern instanceof RegExp)) return false;
+    const match = String(url).match(provider.pattern);
+    if (!match) return false;
+    const src = typeof provider.src === 'function' ? provider.src(match) : match[0];
+    if (typeof src !== 'string' || src.length === 0) return false;
+    embed = {
+      provider: name,
+      url: String(url),
+      src,
+      title: provider.title || 'Embedded content',
+      video: Boolean(provider.video),
+      aspectRatio: provider.aspectRatio || defaultAspectRatio,
+      sandbox: typeof provider.sandbox === 'string' ? provider.sandbox : defaultEmbedSandbox,
+    };
+    return true;
+  });
+  return embed;
+}
@@ -0,0 +1,83 @@
+/**
+ * EventEmitter - A minimal publish/subscribe object. The Editor uses it to
+ *  notify the host application of changes to its contents, selection, and
+ *  focus.
+ *
+ * @property {Object} listeners - An object mapping each event type to an
+ *  array of the handlers subscribed to it.
+ */
+export default {
+  /**
+   * initEmitter - Initializes the EventEmitter with an empty set of listeners.
+   *
+   * @returns {EventEmitter} Returns this.
+   */
+  initEmitter() {
+    this.listeners = {};
+    return this;
+  },
+
+  /**
+   * on - Subscribes the given handler to the given event type.
+   *
+   * @param {string} type The type of event to listen for (e.g. 'change').
+   * @param {Function} handler The function to call each time the event is
+   *  emitted. It will be passed the event's payload.
+   *
+   * @returns {Function || boolean} Returns the handler if it was subscribed,
+   *  else false.
+   */
+  on(type, handler) {
+    if (typeof type !== 'string' || typeof handler !== 'function') return false;
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(handler);
+    return handler;
+  },
+
+  /**
+   * off - Unsubscribes the given handler from the given event type. If no
+   *  handler is given, all handlers for the type are removed. If no type is
+   *  given, every handler is removed.
+   *
+   * @param {string} [type] The type of event to unsubscribe from.
+   * @param {Function} [handler] The handler to remove.
+   *
+   * @returns {boolean} Returns true if any handler was removed else false.
+   */
+  off(type, handler) {
+    if (!type) {
+      const hadListeners = Object.keys(this.listeners).length > 0;
+      this.listeners = {};
+      return hadListeners;
+    }
+    const handlers = this.listeners[type];
+    if (!handlers) return false;
+    if (!handler) {
+      delete this.listeners[type];
+      return true;
+    }
+    const index = handlers.indexOf(handler);
+    if (index === -1) return false;
+    handlers.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * emit - Calls each handler subscribed to the given event type, passing in
+   *  the given payload.
+   *
+   * @param {string} type The type of event to emit.
+   * @param {Object} [payload={}] The data describing the event.
+   *
+   * @returns {boolean} Returns true if any handler was called else false.
+   */
+  emit(type, payload = {}) {
+    const handlers = this.listeners[type];
+    if (!handlers || handlers.length === 0) return false;
+    // Copy the handlers so that a handler may unsubscribe itself.
+    handlers.slice().forEach((handler) => {
+      handler(Object.assign({ type }, payload));
+    });
+    return true;
+  },
+};
@@ -0,0 +1,166 @@
+import {
+  debounce,
+  saveSelection,
+  restoreSelection,
+} from './writeFreeLib.js';
+
+/**
+ * History - The Editor's undo/redo history. Much of the editing done by the
+ *  Editor changes the DOM directly, which the browser's own undo can't track,
+ *  so the History instead keeps snapshots of the editor's contents and
+ *  selection.
+ *
+ *  A snapshot of the current state is taken (this.checkpoint) just before
+ *  each change is made. Typing is grouped into a single step which ends once
+ *  the user pauses for options.historyDelay milliseconds or switches between
+ *  typing and deleting.
+ *
+ * @property {Object[]} undoStack - The snapshots which can be undone to, the
+ *  most recent last.
+ * @property {Object[]} redoStack - The snapshots which can be redone to, the
+ *  most recent last.
+ */
+export default {
+  /**
+   * init - Initializes the History with empty stacks.
+   *
+   * @param {Editor} editor The Editor which owns this History.
+   * @param {Object} options The initialization options provided by the user.
+   *
+   * @returns {History} Returns this.
+   */
+  init(editor, options) {
+    this.editor = editor;
+    this.options = options;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.typing = null;
+    this.grouping = false;
+    this.endTyping = debounce(() => { this.typing = null; }, this.options.historyDelay);
+    return this;
+  },
+
+  /**
+   * snapshot - Takes a snapshot of the editor's contents and selection.
+   *
+   * @returns {Object} The snapshot.
+   */
+  snapshot() {
+    const { $innerCtn } = this.editor;
+    return { html: $innerCtn.innerHTML, selection: saveSelection($innerCtn) };
+  },
+
+  /**
+   * restore - Restores the editor's contents and selection from the given
+   *  snapshot.
+   *
+   * @param {Object} snapshot The snapshot to restore.
+   *
+   */
+  restore(snapshot) {
+    const { $innerCtn } = this.editor;
+    $innerCtn.innerHTML = snapshot.html;
+    restoreSelection($innerCtn, snapshot.selection);
+  },
+
+  /**
+   * checkpoint - Records the current state as a step which can be undone to.
+   *  Must be called just before the editor's contents are changed. Ends the
+   *  current typing group and clears the redo stack.
+   *
+   */
+  checkpoint() {
+    if (this.grouping) return;
+    this.typing = null;
+    this.endTyping.cancel();
+    const snapshot = this.snapshot();
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!last || last.html !== snapshot.html) {
+      this.undoStack.push(snapshot);
+      if (this.undoStack.length > this.options.historyLimit) this.undoStack.shift();
+    }
+    this.redoStack = [];
+  },
+
+  /**
+   * group - Records all of the changes made by the given function as a single
+   *  step. Checkpoints taken while it runs are ignored.
+   *
+   * @param {Function} fn The function which makes the changes.
+   *
+   * @returns {*} Returns the value returned by fn.
+   */
+  group(fn) {
+    this.checkpoint();
+    this.grouping = true;
+    try {
+      return fn();
+    } finally {
+      this.grouping = false;
+    }
+  },
+
+  /**
+   * recordTyping - Records a keystroke which changes the editor's contents.
+   *  The first keystroke of a group takes a checkpoint; later ones only
+   *  extend the group.
+   *
+   * @param {string} kind Either 'insert' for typing or 'delete' for deleting.
+   *
+   */
+  recordTyping(kind) {
+    if (this.typing !== kind) {
+      this.checkpoint();
+      this.typing = kind;
+    }
+    this.endTyping();
+  },
+
+  /**
+   * undo - Undoes the last step.
+   *
+   * @returns {boolean} Returns true if a step was undone else false.
+   */
+  undo() {
+    const current = this.snapshot();
+    // Steps which changed nothing (e.g. a checkpoint just before an action
+    // the browser refused) are dropped.
+    while (
+      this.undoStack.length > 0
+      && this.undoStack[this.undoStack.length - 1].html === current.html
+    ) {
+      this.undoStack.pop();
+    }
+    if (this.undoStack.length === 0) return false;
+    this.typing = null;
+    this.endTyping.cancel();
+    this.redoStack.push(current);
+    this.restore(this.undoStack.pop());
+    return true;
+  },
+
+  /**
+   * redo - Redoes the last undone step.
+   *
+   * @returns {boolean} Returns true if a step was redone else false.
+   */
+  redo() {
+    if (this.redoStack.length === 0) return false;
+    this.typing = null;
+    this.endTyping.cancel();
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+    return true;
+  },
+
+  /**
+   * clear - Empties both stacks. Used when a new document is loaded.
+   *
+   */
+  clear() {
+    this.typing = null;
+    this.endTyping.cancel();
+    this.undoStack = [];
+    this.redoStack = [];
+  },
+};
@@ -0,0 +1,262 @@
+import { validateURL } from './writeFreeLib.js';
+
+import BaseToolbar from './tb_components/baseToolbar.js';
+import ToolbarButton from './tb_components/tbButton.js';
+
+/**
+ * The default image layouts, keyed by name. Each gives the class and style
+ *  added to an image's container section (on top of the section options)
+ *  when it has that layout. 'inset' is the default, keeping the image within
+ *  the column.
+ */
+export const defaultImageLayouts = {
+  inset: { class: '', style: {} },
+  outset: { class: '', style: { 'max-width': '50rem' } },
+  full: { class: '', style: { 'max-width': 'none' } },
+  left: {
+    class: '',
+    style: { float: 'left', 'max-width': '40%', 'margin-right': '1.5rem' },
+  },
+  center: { class: '', style: { 'max-width': '50%' } },
+  right: {
+    class: '',
+    style: { float: 'right', 'max-width': '40%', 'margin-left': '1.5rem' },
+  },
+};
+
+// The layout buttons, in order, as [layout, content, title].
+const layoutButtons = [
+  ['inset', '▭', 'Inset Image (Column Width)'],
+  ['outset', '⬌', 'Outset Image'],
+  ['full', '⬄', 'Full-Width Image'],
+  ['left', '◧', 'Float Small Image Left'],
+  ['center', '▣', 'Centre Small Image'],
+  ['right', '◨', 'Float Small Image Right'],
+];
+
+// Create the ImageToolbar from the BaseToolbar.
+const imageToolbar = Object.create(BaseToolbar);
+
+/**
+ * init - Initialize the ImageToolbar. Calls the BaseToolbar's initialization
+ *  method then sets up the requisite buttons and input.
+ *
+ * @param {Editor} editor The Editor which owns this Toolbar.
+ * @param {Object} options The initialization options provided by the user.
+ *
+ * @returns {ImageToolbar} Returns this.
+ */
+imageToolbar.init = function init(editor, options) {
+  this.initToolbar(editor, options);
+  this.input.init(this.displayButtons.bind(this), this.$ctn);
+  this.createToolbarBtns();
+  return this;
+};
+
+/**
+ * createToolbarBtns - Creates a button for each image layout (see
+ *  defaultImageLayouts), followed by buttons for editing the image's alt
+ *  text, replacing its source, moving it up or down, and removing it.
+ *
+ */
+imageToolbar.createToolbarBtns = function createToolbarBtns() {
+  // The button for each layout, keyed by layout name.
+  this.layoutBtns = {};
+  layoutButtons.forEach(([layout, content, title]) => {
+    const btn = Object.create(ToolbarButton);
+    btn.init(content, title, () => this.layoutBtnHandler(layout), this.$btnCtn);
+    this.layoutBtns[layout] = btn;
+  });
+  this.altBtn = Object.create(ToolbarButton);
+  this.altBtn.init('Alt', 'Edit Alt Text', this.displayAltInput.bind(this), this.$btnCtn);
+  this.srcBtn = Object.create(ToolbarButton);
+  this.srcBtn.init('🔗', 'Replace Image', this.displaySrcInput.bind(this), this.$btnCtn);
+  this.upBtn = Object.create(ToolbarButton);
+  this.upBtn.init('↑', 'Move Image Up', () => this.moveBtnHandler('up'), this.$btnCtn);
+  this.downBtn = Object.create(ToolbarButton);
+  this.downBtn.init('↓', 'Move Image Down', () => this.moveBtnHandler('down'), this.$btnCtn);
+  this.removeBtn = Object.create(ToolbarButton);
+  this.removeBtn.init('&times;', 'Remove Image', this.removeBtnHandler.bind(this), this.$btnCtn);
+};
+
+/**
+ * layoutBtnHandler - Handler for when a layout button is clicked. Gives the
+ *  current image the layout and moves the toolbar along with it.
+ *
+ * @param {string} layout The name of the layout.
+ *
+ */
+imageToolbar.layoutBtnHandler = function layoutBtnHandler(layout) {
+  if (!this.$section) return;
+  this.editor.setImageLayout(this.$section, layout);
+  this.toggleActiveLayout();
+  this.positionToolbar();
+};
+
+/**
+ * toggleActiveLayout - Marks the button of the current image's layout as
+ *  active.
+ *
+ */
+imageToolbar.toggleActiveLayout = function toggleActiveLayout() {
+  const current = this.editor.getImageLayout(this.$section);
+  Object.keys(this.layoutBtns).forEach((layout) => {
+    if (layout === current) {
+      this.layoutBtns[layout].markActive();
+    } else {
+      this.layoutBtns[layout].markInactive();
+    }
+  });
+};
+
+/**
+ * toggleDisabledButtons - Disables the move buttons when the current image
+ *  can't move any further in that direction.
+ *
+ */
+imageToolbar.toggleDisabledButtons = function toggleDisabledButtons() {
+  if (this.$section.previousSibling) {
+    this.upBtn.enable();
+  } else {
+    this.upBtn.disable();
+  }
+  if (this.$section.nextSibling) {
+    this.downBtn.enable();
+  } else {
+    this.downBtn.disable();
+  }
+};
+
+/**
+ * displayAltInput - Displays the input for editing the current image's alt
+ *  text, filled in with its current alt text.
+ *
+ */
+imageToolbar.displayAltInput = function displayAltInput() {
+  if (!this.$section) return;
+  const $img = this.$section.querySelector('img');
+  this.input.setSaveHandler(this.saveAlt.bind(this));
+  this.input.preventHideOnEnter = false;
+  this.hideButtons();
+  this.input.display('Enter alt text...');
+  this.input.setValue($img.getAttribute('alt') || '');
+};
+
+/**
+ * saveAlt - Acts as the save handler for the alt text input. Gives the
+ *  current image the alt text typed.
+ *
+ * @param {string} alt The alt text typed in the input.
+ *
+ */
+imageToolbar.saveAlt = function saveAlt(alt) {
+  if (!this.$section) return;
+  this.editor.setImageAlt(this.$section, alt);
+};
+
+/**
+ * displaySrcInput - Displays the input for replacing the current image's
+ *  source, filled in with its current URL.
+ *
+ */
+imageToolbar.displaySrcInput = function displaySrcInput() {
+  if (!this.$section) return;
+  const $img = this.$section.querySelector('img');
+  this.input.setSaveHandler(this.saveSrc.bind(this));
+  this.input.preventHideOnEnter = true;
+  this.hideButtons();
+  this.input.display('Type an image URL...');
+  this.input.setValue($img.getAttribute('src') || '');
+};
+
+/**
+ * saveSrc - Acts as the save handler for the image URL input. If the URL
+ *  typed is valid (see validateURL), the current image's source is replaced
+ *  with it and the input is hidden. Otherwise the user is told and the input
+ *  is cleared so they can try again.
+ *
+ * @param {string} rawURL The URL typed in the input.
+ *
+ */
+imageToolbar.saveSrc = function saveSrc(rawURL) {
+  if (!this.$section) return;
+  const url = validateURL(rawURL.trim());
+  if (url && this.editor.setImageSrc(this.$section, url)) {
+    this.input.hide();
+    this.positionToolbar();
+  } else {
+    this.editor.notify('warning', 'That isn\'t a valid image URL.');
+    this.input.clear('Type a valid image URL...');
+  }
+};
+
+/**
+ * moveBtnHandler - Handler for when a move button is clicked. Moves the
+ *  current image past the section before or after it, keeping the toolbar
+ *  over it.
+ *
+ * @param {string} direction Either 'up' or 'down'.
+ *
+ */
+imageToolbar.moveBtnHandler = function moveBtnHandler(direction) {
+  if (!this.$section) return;
+  this.editor.moveImage(this.$section, direction);
+  this.toggleDisabledButtons();
+  this.positionToolbar();
+};
+
+/**
+ * removeBtnHandler - Handler for when the remove button is clicked. Removes
+ *  the current image, which also hides the toolbar.
+ *
+ */
+imageToolbar.removeBtnHandler = function removeBtnHandler() {
+  if (!this.$section) return;
+  this.editor.removeImage(this.$section);
+};
+
+/**
+ * positionToolbar - Positions the ImageToolbar over the top left corner of
+ *  the current image.
+ *
+ */
+imageToolbar.positionToolbar = function positionToolbar() {
+  const $img = this.$section.querySelector('img') || this.$section;
+  const rect = $img.getBoundingClientRect();
+  this.$ctn.style.top = `${rect.top + this.toolbarOffset}px`;
+  this.$ctn.style.left = `${rect.left + this.toolbarOffset}px`;
+};
+
+/**
+ * display - Displays the ImageToolbar for the image in the given container
+ *  section, highlighting the image.
+ *
+ * @param {Element} $section The image's container section.
+ *
+ * @returns {boolean} Returns true if the ImageToolbar was displayed.
+ */
+imageToolbar.display = function display($section) {
+  if (this.$section && this.$section !== $section) {
+    this.$section.classList.remove(this.editor.classes.selectedImage);
+  }
+  this.$section = $section;
+  this.$section.classList.add(this.editor.classes.selectedImage);
+  this.toggleActiveLayout();
+  this.toggleDisabledButtons();
+  return this.baseDisplay();
+};
+
+/**
+ * hide - Hides the ImageToolbar and forgets the current image, removing its
+ *  highlight.
+ *
+ * @returns {boolean} Returns true if successful else false.
+ */
+imageToolbar.hide = function hide() {
+  if (this.$section) this.$section.classList.remove(this.editor.classes.selectedImage);
+  this.$section = null;
+  return BaseToolbar.hide.call(this);
+};
+
+// Export the ImageToolbar for use elsewhere.
+export default imageToolbar;
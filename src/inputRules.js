@@ -0,0 +1,304 @@
+import { findParentBlock } from './writeFreeLib.js';
+
+/**
+ * The built-in input rules, keyed by name. Each rule is an object with:
+ *
+ *  key - The KeyboardEvent key which triggers the rule (e.g. ' ' or 'Enter').
+ *  pattern - A RegExp tested against the text of the current section before
+ *    the cursor, not including the key just pressed.
+ *  handler - A function given the pattern's match and the InputRules. It
+ *    makes the change and returns true, or returns false without changing
+ *    anything if the rule can't be applied.
+ *
+ * When a rule is triggered by a character key, that character is inserted
+ *  before the handler is called.
+ */
+export const defaultRules = {
+  // '# ' and '## ' at the start of a paragraph make large and small headings.
+  heading: {
+    key: ' ',
+    pattern: /^(#{1,2})$/,
+    handler(match, rules) {
+      if (!rules.inParagraph()) return false;
+      const { section } = rules.getCaret();
+      const $next = section.nextSibling;
+      const $parent = section.parentNode;
+      if (!rules.deleteBefore(match[0].length + 1)) return false;
+      if (!rules.editor.wrapHeading(match[1].length)) return false;
+      // formatBlock replaced the section, so the heading is found by position.
+      const $heading = $next ? $next.previousSibling : $parent.lastChild;
+      if ($heading.textContent.length === 0) $heading.innerHTML = '<br>';
+      window.getSelection().collapse($heading, 0);
+      return true;
+    },
+  },
+  // '> ' at the start of a paragraph makes a quote.
+  quote: {
+    key: ' ',
+    pattern: /^>$/,
+    handler(match, rules) {
+      if (!rules.inParagraph() || !rules.deleteBefore(2)) return false;
+      return rules.editor.wrapQuote(false);
+    },
+  },
+  // '```' in an empty paragraph makes a code block.
+  codeBlock: {
+    key: '`',
+    pattern: /^``$/,
+    handler(match, rules) {
+      const { section } = rules.getCaret();
+      if (!rules.inParagraph() || section.textContent !== '```') return false;
+      section.textContent = '';
+      return rules.editor.insertCode();
+    },
+  },
+  // '---' followed by Enter makes a divider.
+  divider: {
+    key: 'Enter',
+    pattern: /^-{3,}$/,
+    handler(match, rules) {
+      const { section } = rules.getCaret();
+      if (!rules.inParagraph() || rules.editor.isFirst(section)) return false;
+      rules.deleteBefore(match[0].length);
+      return rules.editor.insertLine();
+    },
+  },
+  // '- ' or '* ' at the start of a paragraph makes a bulleted list.
+  bulletList: {
+    key: ' ',
+    pattern: /^[-*]$/,
+    handler(match, rules) {
+      if (!rules.inParagraph() || !rules.deleteBefore(2)) return false;
+      return rules.editor.toggleList(false);
+    },
+  },
+  // '1. ' at the start of a paragraph makes a numbered list.
+  orderedList: {
+    key: ' ',
+    pattern: /^1[.)]$/,
+    handler(match, rules) {
+      if (!rules.inParagraph() || !rules.deleteBefore(3)) return false;
+      return rules.editor.toggleList(true);
+    },
+  },
+  // '**text**' makes bold text.
+  bold: {
+    key: '*',
+    pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*$/,
+    handler(match, rules) {
+      return rules.formatBefore(match[1], 2, () => rules.editor.boldSelection());
+    },
+  },
+  // '_text_' makes italic text.
+  italic: {
+    key: '_',
+    pattern: /(?:^|[^\w])_([^_\s](?:[^_]*[^_\s])?)$/,
+    handler(match, rules) {
+      return rules.formatBefore(match[1], 1, () => rules.editor.italicizeSelection());
+    },
+  },
+  // '~~text~~' makes struck-through text.
+  strike: {
+    key: '~',
+    pattern: /~~([^~\s](?:[^~]*[^~\s])?)~$/,
+    handler(match, rules) {
+      return rules.formatBefore(match[1], 2, () => rules.editor.toggleMark('strike'));
+    },
+  },
+  // '`text`' makes inline code.
+  code: {
+    key: '`',
+    pattern: /`([^`]+)$/,
+    handler(match, rules) {
+      return rules.formatBefore(match[1], 1, () => rules.editor.toggleMark('code'));
+    },
+  },
+};
+
+/**
+ * InputRules - Formats text as the user types Markdown-style shortcuts in text
+ *  sections (see defaultRules). The Editor passes every keydown to
+ *  this.handleKey. Each change is a single step in the Editor's History and
+ *  pressing Backspace straight afterwards undoes it, leaving the text as
+ *  typed.
+ *
+ * @property {Object[]} rules - The enabled rules.
+ */
+export default {
+  /**
+   * init - Initializes the InputRules. options.inputRules may be false to
+   *  disable all rules, or an object whose entries replace the default rules
+   *  of the same name. A rule set to false is disabled.
+   *
+   * @param {Editor} editor The Editor which owns these InputRules.
+   * @param {Object} options The initialization options provided by the user.
+   *
+   * @returns {InputRules} Returns this.
+   */
+  init(editor, options) {
+    this.editor = editor;
+    this.options = options;
+    this.appliedHTML = null;
+    if (this.options.inputRules === false) {
+      this.rules = [];
+    } else {
+      const rules = Object.assign({}, defaultRules, this.options.inputRules);
+      this.rules = Object.keys(rules).map(name => rules[name]).filter(rule => rule);
+    }
+    return this;
+  },
+
+  /**
+   * handleKey - Applies the first rule matching the given keydown, or undoes
+   *  the last rule applied if the key is a Backspace pressed straight after
+   *  it.
+   *
+   * @param {KeyboardEvent} e The keydown event.
+   *
+   * @returns {boolean} Returns true if the key was handled else false.
+   */
+  handleKey(e) {
+    if (
+      e.key === 'Backspace'
+      && this.appliedHTML !== null
+      && this.appliedHTML === this.editor.$innerCtn.innerHTML
+    ) {
+      e.preventDefault();
+      this.appliedHTML = null;
+      this.editor.undo();
+      return true;
+    }
+    this.appliedHTML = null;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    const rules = this.rules.filter(rule => rule.key === e.key);
+    const caret = this.getCaret();
+    if (rules.length === 0 || !caret) return false;
+    const range = document.createRange();
+    range.setStart(caret.section, 0);
+    range.setEnd(caret.node, caret.offset);
+    const textBefore = range.toString().replace(/\u00a0/g, ' ');
+    let match = null;
+    const rule = rules.find((current) => {
+      match = textBefore.match(current.pattern);
+      return match;
+    });
+    if (!rule) return false;
+    e.preventDefault();
+    if (e.key.length === 1) this.insertText(e.key);
+    const applied = this.editor.history.group(() => rule.handler(match, this));
+    if (!applied) {
+      // Enter must still create a new line.
+      return e.key !== 'Enter';
+    }
+    this.appliedHTML = this.editor.$innerCtn.innerHTML;
+    this.editor.scheduleChange();
+    return true;
+  },
+
+  /**
+   * getCaret - Finds the cursor if it is collapsed within a text section or
+   *  list item.
+   *
+   * @returns {Object || null} Returns { node, offset, section } describing
+   *  the cursor, or null if it isn't collapsed within a text section or list
+   *  item.
+   */
+  getCaret() {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0 || !sel.isCollapsed) return null;
+    const section = findParentBlock(sel.anchorNode);
+    if (
+      section === this.editor.$innerCtn
+      || !this.editor.$innerCtn.contains(section)
+      || !this.editor.isTextBlock(section)
+    ) {
+      return null;
+    }
+    return { node: sel.anchorNode, offset: sel.anchorOffset, section };
+  },
+
+  /**
+   * inParagraph - Determines whether the cursor is in a text section rather
+   *  than a list item. Rules which change the whole section require this.
+   *
+   * @returns {boolean} Returns true if the cursor is in a text section.
+   */
+  inParagraph() {
+    const caret = this.getCaret();
+    return Boolean(caret)
+      && caret.section.classList.contains(this.editor.classes.textSection);
+  },
+
+  /**
+   * insertText - Inserts the given text at the cursor and moves the cursor
+   *  after it.
+   *
+   * @param {string} text The text to insert.
+   *
+   */
+  insertText(text) {
+    const sel = window.getSelection();
+    const { node, offset } = this.getCaret();
+    if (node.nodeType === Node.TEXT_NODE) {
+      node.insertData(offset, text);
+      sel.collapse(node, offset + text.length);
+    } else {
+      const $text = document.createTextNode(text);
+      sel.getRangeAt(0).insertNode($text);
+      sel.collapse($text, text.length);
+    }
+  },
+
+  /**
+   * deleteBefore - Deletes the given number of characters before the cursor.
+   *  An emptied section is given a <br> to keep it open.
+   *
+   * @param {number} count The number of characters to delete.
+   *
+   * @returns {boolean} Returns true if the characters were deleted. Returns
+   *  false, deleting nothing, if they aren't all in the cursor's text node.
+   */
+  deleteBefore(count) {
+    const sel = window.getSelection();
+    const { node, offset, section } = this.getCaret();
+    if (node.nodeType !== Node.TEXT_NODE || offset < count) return false;
+    node.deleteData(offset - count, count);
+    sel.collapse(node, offset - count);
+    if (section.textContent.length === 0) {
+      section.innerHTML = '<br>';
+      sel.collapse(section, 0);
+    }
+    return true;
+  },
+
+  /**
+   * formatBefore - Formats text typed between delimiters (e.g. '**text**')
+   *  just before the cursor. The delimiters are removed, the text is selected
+   *  and given to the format function, then the cursor is placed after it.
+   *
+   * @param {string} text The text between the delimiters.
+   * @param {number} delimiterLength The length of each delimiter.
+   * @param {Function} format The function which formats the selection.
+   *
+   * @returns {boolean} Returns true if the text was formatted. Returns false,
+   *  changing nothing, if the text and delimiters aren't all in the cursor's
+   *  text node.
+   */
+  formatBefore(text, delimiterLength, format) {
+    const sel = window.getSelection();
+    const { node, offset } = this.getCaret();
+    const length = text.length + (delimiterLength * 2);
+    if (node.nodeType !== Node.TEXT_NODE || offset < length) return false;
+    const start = offset - length;
+    node.deleteData(offset - delimiterLength, delimiterLength);
+    node.deleteData(start, delimiterLength);
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, start + text.length);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    format();
+    sel.collapseToEnd();
+    return true;
+  },
+};
@@ -1,4 +1,4 @@
-import { validateURL } from './writeFreeLib.js';
+import { validateURL, generateElement } from './writeFreeLib.js';
 
 import BaseToolbar from './tb_components/baseToolbar.js';
 import ToolbarButton from './tb_components/tbButton.js';
@@ -20,21 +20,49 @@ insertToolbar.init = function init(editor, options) {
   this.toolbarOffset = 15;
   this.createToolbarBtns();
   this.input.init(this.hideImageInput.bind(this), this.$ctn);
-  this.input.$input.id = 'input';
   return this;
 };
 
 /**
  * createToolbarBtns - Creates the requisite buttons for this toolbar. The
- *  insertToolbar allows users to insert images and horizontal rules so this
- *  method creates buttons to allow the user to do these things.
+ *  insertToolbar allows users to insert images, embeds, horizontal rules, and
+ *  code blocks so this method creates buttons to allow the user to do these
+ *  things, followed by a button for each custom block type which gives one
+ *  (see options.blockTypes). If images can be uploaded, a button (and hidden file input) for
+ *  choosing images from the user's disk is added too.
  *
  */
 insertToolbar.createToolbarBtns = function createToolbarBtns() {
+  const { keymap } = this.editor;
   this.imgBtn = Object.create(ToolbarButton);
-  this.imgBtn.init('🖼️', 'Insert an Image', this.displayImgInput.bind(this), this.$btnCtn);
+  this.imgBtn.init('🖼️', keymap.title('Insert an Image', 'insertImage'), this.displayImgInput.bind(this), this.$btnCtn);
+  if (this.editor.canUploadImages()) {
+    this.uploadBtn = Object.create(ToolbarButton);
+    this.uploadBtn.init('⤒', 'Upload an Image', this.chooseImageFiles.bind(this), this.$btnCtn);
+    this.$fileInput = generateElement('input', [], {
+      type: 'file',
+      accept: 'image/*',
+      multiple: '',
+      style: { display: 'none' },
+    });
+    this.$fileInput.addEventListener('change', this.uploadImageFiles.bind(this));
+    this.$ctn.appendChild(this.$fileInput);
+  }
+  this.embedBtn = Object.create(ToolbarButton);
+  this.embedBtn.init('▶', 'Embed a Video or Media', this.displayEmbedInput.bind(this), this.$btnCtn);
   this.lineBtn = Object.create(ToolbarButton);
-  this.lineBtn.init('--', 'Insert a Horizontal Rule', this.editor.insertLine.bind(this.editor), this.$btnCtn);
+  this.lineBtn.init('--', keymap.title('Insert a Horizontal Rule', 'insertLine'), this.editor.insertLine.bind(this.editor), this.$btnCtn);
+  this.codeBtn = Object.create(ToolbarButton);
+  this.codeBtn.init('{ }', keymap.title('Insert a Code Block', 'insertCode'), () => this.editor.insertCode(), this.$btnCtn);
+  // The button for each custom block type, keyed by type name.
+  this.blockBtns = {};
+  Object.keys(this.options.blockTypes || {}).forEach((name) => {
+    const type = this.editor.blockType(name);
+    if (!type || !type.content) return;
+    const btn = Object.create(ToolbarButton);
+    btn.init(type.content, type.title || '', () => this.blockBtnHandler(name), this.$btnCtn);
+    this.blockBtns[name] = btn;
+  });
 };
 
 /**
@@ -64,6 +92,47 @@ insertToolbar.displayImgInput = function displayImgInput() {
   this.input.display('Type an image URL...');
 };
 
+/**
+ * displayEmbedInput - Displays the input for embedding media by URL.
+ *
+ */
+insertToolbar.displayEmbedInput = function displayEmbedInput() {
+  const sel = window.getSelection();
+  this.currentRange = sel.getRangeAt(0);
+  this.input.setSaveHandler(this.insertEmbed.bind(this));
+  this.input.preventHideOnEnter = true;
+  this.hideButtons();
+  this.input.display('Type a video or embed URL...');
+};
+
+/**
+ * chooseImageFiles - Opens the browser's file picker so the user can choose
+ *  images to upload. The current range is kept since the selection may be
+ *  lost while the picker is open.
+ *
+ */
+insertToolbar.chooseImageFiles = function chooseImageFiles() {
+  const sel = window.getSelection();
+  if (sel.rangeCount === 0) return;
+  this.uploadRange = sel.getRangeAt(0);
+  this.$fileInput.click();
+};
+
+/**
+ * uploadImageFiles - Acts as the change handler for the file input. Uploads
+ *  the chosen images next to the section in which the picker was opened
+ *  (see Editor.uploadImages).
+ *
+ */
+insertToolbar.uploadImageFiles = function uploadImageFiles() {
+  const files = Array.from(this.$fileInput.files);
+  // Cleared so choosing the same file again fires another change.
+  this.$fileInput.value = '';
+  if (!this.uploadRange) return;
+  const section = this.editor.findSection(this.uploadRange.startContainer);
+  this.uploadRange = null;
+  this.editor.uploadImages(files, section);
+};
 
 /**
  * hideImageInput - Hides the input for adding an image.
@@ -78,15 +147,16 @@ insertToolbar.hideImageInput = function hideImageInput() {
  * insertImage - This function acts as the saveHandler for the image input. The
  *  input first prompts the user to provide a url, then alt text. If the user
  *  has not yet provided the image url, it will take the value from the input
- *  and store it as the image url, prompting the user for the alt text. Once
- *  this has been provided, the function passes control to the editor and closes
- *  itself.
+ *  and store it as the image url, prompting the user for the alt text (or
+ *  telling the user if it isn't valid). Once this has been provided, the
+ *  function passes control to the editor and closes itself.
  *
  */
 insertToolbar.insertImage = function insertImage() {
   if (!this.imgURL) {
     this.imgURL = validateURL(this.input.getValue());
     if (!this.imgURL) {
+      this.editor.notify('warning', 'That isn\'t a valid image URL.');
       this.input.clear('Type an image URL...');
     } else {
       this.input.clear('Enter alt text...');
@@ -99,6 +169,52 @@ insertToolbar.insertImage = function insertImage() {
   }
 };
 
+/**
+ * insertEmbed - Acts as the saveHandler for the embed input. If the URL given
+ *  matches an embed provider (see Editor.embedProviders), the media is
+ *  embedded and the toolbar closes. Otherwise the user is told and the input
+ *  is cleared so they can try again.
+ *
+ */
+insertToolbar.insertEmbed = function insertEmbed() {
+  const url = validateURL(this.input.getValue().trim());
+  if (!url || !this.editor.insertEmbed(url, this.currentRange.startContainer)) {
+    this.editor.notify('warning', url ? 'That URL can\'t be embedded.' : 'That isn\'t a valid URL.');
+    this.input.clear('Type a supported video or embed URL...');
+    return;
+  }
+  this.input.hide();
+  this.displayButtons();
+  this.hide();
+};
+
+/**
+ * blockBtnHandler - Handler for when a custom block type's button is clicked.
+ *  The block's data is made by the type's create function, which is given the
+ *  value typed in the input if the type gives a prompt to display in it.
+ *  Without create, the block's data is an empty Object.
+ *
+ * @param {string} name The name of the block type.
+ *
+ */
+insertToolbar.blockBtnHandler = function blockBtnHandler(name) {
+  const type = this.editor.blockType(name);
+  const sel = window.getSelection();
+  if (!type || sel.rangeCount === 0) return;
+  const nextSibling = sel.getRangeAt(0).startContainer;
+  const insert = (value) => {
+    const data = typeof type.create === 'function' ? type.create(value, this.editor) : {};
+    if (!this.editor.insertBlock(name, data, nextSibling)) return false;
+    this.hide();
+    return true;
+  };
+  if (type.prompt) {
+    this.promptInput(type.prompt, insert);
+  } else {
+    insert('');
+  }
+};
+
 /**
  * display - Displays the InsertToolbar.
  *
@@ -0,0 +1,335 @@
+import { findParentBlock } from './writeFreeLib.js';
+
+// Whether the user is on a Mac, where 'Mod' means the Command key.
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+
+/**
+ * The default key bindings, keyed by command. Each binding is a combination
+ *  of modifiers and a key joined by '+', e.g. 'Mod+Alt+1'. 'Mod' is the
+ *  Command key on a Mac and Ctrl elsewhere.
+ */
+export const defaultKeymap = {
+  bold: 'Mod+B',
+  italic: 'Mod+I',
+  strike: 'Mod+Shift+X',
+  underline: 'Mod+U',
+  code: 'Mod+E',
+  highlight: 'Mod+Shift+H',
+  heading1: 'Mod+Alt+1',
+  heading2: 'Mod+Alt+2',
+  quote: 'Mod+Shift+9',
+  link: 'Mod+K',
+  insertImage: 'Mod+Alt+I',
+  insertLine: 'Mod+Alt+-',
+  insertCode: 'Mod+Alt+Shift+C',
+  bulletList: 'Mod+Shift+8',
+  orderedList: 'Mod+Shift+7',
+};
+
+/**
+ * selectionSection - Finds the section containing the cursor.
+ *
+ * @param {Editor} editor The Editor in which to look.
+ *
+ * @returns {Element || null} The section, or null if the cursor isn't in
+ *  the Editor or is in an image caption.
+ */
+function selectionSection(editor) {
+  const sel = window.getSelection();
+  if (sel.rangeCount === 0 || !editor.$innerCtn.contains(sel.anchorNode)) return null;
+  // Captions are plain text, so no command applies to them.
+  if (editor.findCaption(sel.anchorNode)) return null;
+  const section = findParentBlock(sel.anchorNode);
+  return section === editor.$innerCtn ? null : section;
+}
+
+/**
+ * inText - Determines whether the cursor is in a text section or list item,
+ *  where text can be formatted.
+ *
+ * @param {Editor} editor The Editor in which to look.
+ *
+ * @returns {boolean} Returns true if the cursor is in a text section.
+ */
+function inText(editor) {
+  const section = selectionSection(editor);
+  return editor.isTextBlock(section);
+}
+
+/**
+ * toggleHeading - Wraps the current section in a heading of the given level,
+ *  or turns it back into a paragraph if it already is one.
+ *
+ * @param {Editor} editor The Editor to change.
+ * @param {number} level The heading level.
+ *
+ * @returns {boolean} Returns true if successful else false.
+ */
+function toggleHeading(editor, level) {
+  const section = selectionSection(editor);
+  if (!section || section.classList.contains(editor.classes.containerSection)) return false;
+  return editor.wrapHeading(section.tagName === `H${level}` ? 0 : level);
+}
+
+/**
+ * The default commands, keyed by name. Each is given the Editor and returns
+ *  true if it did anything.
+ */
+export const defaultCommands = {
+  bold(editor) {
+    if (!inText(editor)) return false;
+    editor.boldSelection();
+    return true;
+  },
+  italic(editor) {
+    if (!inText(editor)) return false;
+    editor.italicizeSelection();
+    return true;
+  },
+  strike: editor => inText(editor) && editor.toggleMark('strike'),
+  underline: editor => inText(editor) && editor.toggleMark('underline'),
+  code: editor => inText(editor) && editor.toggleMark('code'),
+  highlight: editor => inText(editor) && editor.toggleMark('highlight'),
+  heading1: editor => toggleHeading(editor, 1),
+  heading2: editor => toggleHeading(editor, 2),
+  quote: editor => Boolean(selectionSection(editor)) && editor.wrapQuote(),
+  link(editor) {
+    const sel = window.getSelection();
+    if (sel.isCollapsed || !inText(editor)) return false;
+    editor.editToolbar.display(sel);
+    editor.editToolbar.linkBtnHandler();
+    return true;
+  },
+  insertImage(editor) {
+    if (!inText(editor) || !editor.checkForInsert()) return false;
+    editor.insertToolbar.displayImgInput();
+    return true;
+  },
+  insertLine(editor) {
+    if (!selectionSection(editor)) return false;
+    return editor.insertLine();
+  },
+  insertCode: editor => inText(editor) && editor.insertCode(),
+  bulletList: editor => Boolean(selectionSection(editor)) && editor.toggleList(false),
+  orderedList: editor => Boolean(selectionSection(editor)) && editor.toggleList(true),
+};
+
+/**
+ * parseCombo - Parses a key combination such as 'Mod+Shift+K'.
+ *
+ * @param {string} combo The key combination.
+ *
+ * @returns {Object} The combination as { key, ctrl, meta, alt, shift }.
+ */
+function parseCombo(combo) {
+  const parts = combo.split(/\+(?!$)/);
+  const parsed = {
+    key: parts.pop().toLowerCase(),
+    ctrl: false,
+    meta: false,
+    alt: false,
+    shift: false,
+  };
+  parts.forEach((part) => {
+    const modifier = part.toLowerCase();
+    if (modifier === 'mod') {
+      parsed[isMac ? 'meta' : 'ctrl'] = true;
+    } else if (modifier === 'cmd' || modifier === 'meta') {
+      parsed.meta = true;
+    } else if (modifier === 'option') {
+      parsed.alt = true;
+    } else {
+      parsed[modifier] = true;
+    }
+  });
+  return parsed;
+}
+
+/**
+ * eventKey - Returns the key pressed in the given KeyboardEvent. When Alt
+ *  (Option on a Mac) or Shift is held, letters, digits, and '-' are read
+ *  from the physical key, since those modifiers change the character typed.
+ *
+ * @param {KeyboardEvent} e The KeyboardEvent.
+ *
+ * @returns {string} The lowercase key.
+ */
+function eventKey(e) {
+  if ((e.altKey || e.shiftKey) && e.code) {
+    const match = e.code.match(/^(?:Key|Digit)(\w)$/);
+    if (match) return match[1].toLowerCase();
+    if (e.code === 'Minus') return '-';
+  }
+  return e.key.toLowerCase();
+}
+
+/**
+ * formatCombo - Formats a key combination for display, e.g. 'Ctrl+Alt+1' or,
+ *  on a Mac, '⌥⌘1'.
+ *
+ * @param {string} combo The key combination.
+ *
+ * @returns {string} The formatted combination.
+ */
+export function formatCombo(combo) {
+  const parsed = parseCombo(combo);
+  const key = parsed.key.length === 1 ? parsed.key.toUpperCase() : parsed.key;
+  if (isMac) {
+    return [
+      parsed.ctrl ? '⌃' : '',
+      parsed.alt ? '⌥' : '',
+      parsed.shift ? '⇧' : '',
+      parsed.meta ? '⌘' : '',
+      key,
+    ].join('');
+  }
+  return [
+    parsed.ctrl ? 'Ctrl' : null,
+    parsed.meta ? 'Meta' : null,
+    parsed.alt ? 'Alt' : null,
+    parsed.shift ? 'Shift' : null,
+    key,
+  ].filter(part => part).join('+');
+}
+
+/**
+ * Keymap - Maps key combinations to Editor commands. The Editor passes every
+ *  keydown to this.handleKey.
+ *
+ * @property {Object} commands - The commands, keyed by name (see
+ *  defaultCommands).
+ * @property {Object} bindings - The key combinations bound to each command,
+ *  keyed by command name.
+ */
+export default {
+  /**
+   * init - Initializes the Keymap. options.keymap is an object whose entries
+   *  replace the default bindings (see defaultKeymap) of the same command.
+   *  Each entry may be a key combination, an array of them, or false to
+   *  unbind the command.
+   *
+   * @param {Editor} editor The Editor which owns this Keymap.
+   * @param {Object} options The initialization options provided by the user.
+   *
+   * @returns {Keymap} Returns this.
+   */
+  init(editor, options) {
+    this.editor = editor;
+    this.options = options;
+    this.commands = Object.assign({}, defaultCommands);
+    this.bindings = {};
+    const keymap = Object.assign({}, defaultKeymap, this.options.keymap);
+    Object.keys(keymap).forEach((command) => {
+      this.bind(command, keymap[command]);
+    });
+    return this;
+  },
+
+  /**
+   * bind - Binds the given key combinations to the given command, replacing
+   *  its current bindings.
+   *
+   * @param {string} command The name of the command.
+   * @param {string || string[] || boolean} combos The key combination(s), or
+   *  false to unbind the command.
+   *
+   */
+  bind(command, combos) {
+    this.bindings[command] = combos ? [].concat(combos) : [];
+  },
+
+  /**
+   * addCommand - Adds a command which can be bound to keys.
+   *
+   * @param {string} name The name of the command.
+   * @param {Function} command The function to call, which is given the Editor
+   *  and returns true if it did anything.
+   *
+   */
+  addCommand(name, command) {
+    this.commands[name] = command;
+  },
+
+  /**
+   * run - Runs the command of the given name.
+   *
+   * @param {string} name The name of the command.
+   *
+   * @returns {boolean} Returns true if the command did anything else false.
+   */
+  run(name) {
+    const command = this.commands[name];
+    if (typeof command !== 'function') return false;
+    return Boolean(command(this.editor));
+  },
+
+  /**
+   * commandFor - Finds the command bound to the key combination of the given
+   *  KeyboardEvent.
+   *
+   * @param {KeyboardEvent} e The KeyboardEvent.
+   *
+   * @returns {string || null} The name of the command or null if none is
+   *  bound.
+   */
+  commandFor(e) {
+    const key = eventKey(e);
+    const names = Object.keys(this.bindings);
+    return names.find(name => this.bindings[name].some((combo) => {
+      const parsed = parseCombo(combo);
+      return parsed.key === key
+        && parsed.ctrl === e.ctrlKey
+        && parsed.meta === e.metaKey
+        && parsed.alt === e.altKey
+        && parsed.shift === e.shiftKey;
+    })) || null;
+  },
+
+  /**
+   * handleKey - Runs the command bound to the given keydown, if any. If the
+   *  command did anything, the browser's own handling of the key (e.g. its
+   *  bold) is prevented. Keys typed with AltGr are left alone, since Windows
+   *  reports AltGr as Ctrl+Alt and it is used to type characters such as '@'
+   *  on many layouts.
+   *
+   * @param {KeyboardEvent} e The keydown event.
+   *
+   * @returns {boolean} Returns true if a command handled the key else false.
+   */
+  handleKey(e) {
+    if (!e.ctrlKey && !e.metaKey && !e.altKey) return false;
+    if (e.getModifierState && e.getModifierState('AltGraph')) return false;
+    const name = this.commandFor(e);
+    if (!name || !this.run(name)) return false;
+    e.preventDefault();
+    return true;
+  },
+
+  /**
+   * shortcutFor - Describes the key combinations bound to the given command
+   *  for display, e.g. in a button's title.
+   *
+   * @param {string} command The name of the command.
+   *
+   * @returns {string} The formatted combinations, or an empty string if the
+   *  command is unbound.
+   */
+  shortcutFor(command) {
+    return (this.bindings[command] || []).map(formatCombo).join(', ');
+  },
+
+  /**
+   * title - Adds the shortcuts for the given commands to the given title.
+   *
+   * @param {string} title The title, e.g. of a button.
+   * @param {...string} commands The names of the commands.
+   *
+   * @returns {string} The title followed by the shortcuts in parentheses.
+   */
+  title(title, ...commands) {
+    const shortcut = commands.map(command => this.shortcutFor(command))
+      .filter(current => current)
+      .join(', ');
+    return shortcut ? `${title} (${shortcut})` : title;
+  },
+};
@@ -27,9 +27,82 @@ defaultLargeHeadingStyle['font-size'] = '2rem';
 const defaultSmallHeadingStyle = Object.assign({}, defaultSectionStyle);
 defaultSmallHeadingStyle['font-size'] = '1.5rem';
 
+const defaultQuoteStyle = Object.assign({}, defaultSectionStyle);
+defaultQuoteStyle['border-left'] = '3px solid #333';
+defaultQuoteStyle['padding-left'] = '1.25rem';
+defaultQuoteStyle['font-style'] = 'italic';
+
+const defaultPullQuoteStyle = Object.assign({}, defaultSectionStyle);
+defaultPullQuoteStyle['font-size'] = '1.75rem';
+defaultPullQuoteStyle['text-align'] = 'center';
+defaultPullQuoteStyle['font-style'] = 'italic';
+defaultPullQuoteStyle.color = '#555';
+defaultPullQuoteStyle.padding = '0.5em 0';
+
+const defaultCodeStyle = Object.assign({}, defaultSectionStyle);
+defaultCodeStyle['font-family'] = 'monospace';
+defaultCodeStyle['font-size'] = '1rem';
+defaultCodeStyle['white-space'] = 'pre-wrap';
+defaultCodeStyle.background = '#f4f4f4';
+defaultCodeStyle.padding = '0.75em 1em';
+defaultCodeStyle['border-radius'] = '3px';
+
 const defaultImgStyle = Object.assign({}, defaultSectionStyle);
 defaultImgStyle['max-width'] = '100%';
 
+const defaultCaptionStyle = {
+  'font-size': '1rem',
+  'text-align': 'center',
+  color: '#666',
+  'margin-top': '0.5em',
+  outline: 'none',
+};
+
+
+// The toolbar style is shared by every editor on the page. It is added to
+// <head> with the first editor and removed along with the last.
+let $toolbarStyle = null;
+let toolbarStyleUsers = 0;
+
+/**
+ * attachToolbarStyle - Adds the shared toolbar style to the page if it isn't
+ *  there already.
+ *
+ */
+function attachToolbarStyle() {
+  toolbarStyleUsers += 1;
+  if ($toolbarStyle) return;
+  $toolbarStyle = document.createElement('style');
+  $toolbarStyle.appendChild(document.createTextNode(toolbarStyle));
+  document.getElementsByTagName('head')[0].appendChild($toolbarStyle);
+}
+
+/**
+ * releaseToolbarStyle - Removes the shared toolbar style from the page once no
+ *  editors are using it.
+ *
+ */
+function releaseToolbarStyle() {
+  toolbarStyleUsers -= 1;
+  if (toolbarStyleUsers > 0 || !$toolbarStyle) return;
+  $toolbarStyle.parentNode.removeChild($toolbarStyle);
+  $toolbarStyle = null;
+}
+// The elements, attributes, and URL schemes allowed in loaded contents.
+const defaultAllowedTags = [
+  'div', 'p', 'h1', 'h2', 'b', 'strong', 'i', 'em', 'a', 'br', 'img', 'hr', 'span',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 's', 'u', 'mark', 'figure', 'figcaption',
+];
+
+const defaultAllowedAttributes = {
+  '*': ['class', 'style'],
+  div: ['contenteditable', 'data-layout', 'data-embed', 'data-url', 'data-block', 'data-block-data'],
+  a: ['href', 'title', 'target', 'rel'],
+  img: ['src', 'alt'],
+  pre: ['data-language'],
+};
+
+const defaultAllowedSchemes = ['http', 'https', 'mailto'];
 
 const defaultOptions = {
   divOrPar: 'p',
@@ -41,9 +114,43 @@ const defaultOptions = {
   largeHeadingStyle: defaultLargeHeadingStyle,
   smallHeadingClass: '',
   smallHeadingStyle: defaultSmallHeadingStyle,
+  quoteClass: '',
+  quoteStyle: defaultQuoteStyle,
+  pullQuoteClass: '',
+  pullQuoteStyle: defaultPullQuoteStyle,
+  codeClass: '',
+  codeStyle: defaultCodeStyle,
   imgClass: '',
   imgStyle: defaultImgStyle,
+  captionClass: '',
+  captionStyle: defaultCaptionStyle,
+  captionPlaceholder: 'Add a caption...',
+  imageLayouts: {},
+  embedProviders: {},
+  blockTypes: {},
   emptyPlaceholder: 'Try writing here...',
+  changeDelay: 300,
+  historyLimit: 100,
+  historyDelay: 1000,
+  autosave: false,
+  autosaveKey: 'writefree-draft',
+  autosaveDelay: 1000,
+  autosaveAdapter: null,
+  autosaveSince: 0,
+  autosaveConfirm: null,
+  allowedTags: defaultAllowedTags,
+  allowedAttributes: defaultAllowedAttributes,
+  allowedSchemes: defaultAllowedSchemes,
+  sanitizeOutput: false,
+  plainTextPaste: false,
+  inputRules: {},
+  keymap: {},
+  plugins: [],
+  imageURLMatcher: /\.(?:apng|avif|bmp|gif|jpe?g|png|svg|webp)(?:[?#].*)?$/i,
+  uploadImage: null,
+  imageDataURLLimit: 1024 * 1024,
+  messageDuration: 5000,
+  onMessage: null,
 };
 
 /**
@@ -65,11 +172,11 @@ function WriteFree($ctn, userOptions = {}) {
     }
     return globalOptions;
   }());
-  const $toolbarStyle = document.createElement('style');
-  const newToolbarStyle = toolbarStyle.replace('placeholder_text', options.emptyPlaceholder);
-  $toolbarStyle.appendChild(document.createTextNode(newToolbarStyle));
-  document.getElementsByTagName('head')[0].appendChild($toolbarStyle);
-
+  attachToolbarStyle();
+  // The placeholders are read by the shared style through custom properties so
+  // each editor can have its own.
+  $ctn.style.setProperty('--wf__placeholder', JSON.stringify(String(options.emptyPlaceholder)));
+  $ctn.style.setProperty('--wf__caption-placeholder', JSON.stringify(String(options.captionPlaceholder)));
 
   // Create and initialize the editor.
   const Editor = Object.create(editorBase);
@@ -78,6 +185,25 @@ function WriteFree($ctn, userOptions = {}) {
   return {
     html: Editor.html.bind(Editor),
     load: Editor.load.bind(Editor),
+    loadMarkdown: Editor.loadMarkdown.bind(Editor),
+    markdown: Editor.markdown.bind(Editor),
+    toJSON: Editor.toJSON.bind(Editor),
+    fromJSON: Editor.fromJSON.bind(Editor),
+    saveDraft: Editor.saveDraft.bind(Editor),
+    clearDraft: Editor.clearDraft.bind(Editor),
+    undo: Editor.undo.bind(Editor),
+    redo: Editor.redo.bind(Editor),
+    on: Editor.on.bind(Editor),
+    off: Editor.off.bind(Editor),
+    use: Editor.pluginAPI.use.bind(Editor.pluginAPI),
+    destroy() {
+      if (!Editor.destroy()) return false;
+      $ctn.classList.remove('wf__ctn');
+      $ctn.style.removeProperty('--wf__placeholder');
+      $ctn.style.removeProperty('--wf__caption-placeholder');
+      releaseToolbarStyle();
+      return true;
+    },
   };
 }
 export default WriteFree;
@@ -0,0 +1,783 @@
+import {
+  isSafeURL,
+  captionText,
+  isList,
+  findSublist,
+} from './writeFreeLib.js';
+import { getCodeText, setCodeText } from './codeBlock.js';
+
+/**
+ * escapeInline - Escapes the characters in the given text which CommonMark
+ *  would otherwise read as inline formatting. Non-breaking spaces (inserted
+ *  by contenteditable) and newlines are converted to plain spaces.
+ *
+ * @param {string} text The text to escape.
+ *
+ * @returns {string} The escaped text.
+ */
+function escapeInline(text) {
+  return text
+    .replace(/\u00a0|\n/g, ' ')
+    .replace(/[\\`*_~[\]<>]/g, '\\$&');
+}
+
+/**
+ * escapeBlockStart - Escapes the start of the given line if it would
+ *  otherwise be read as the start of a Markdown block (heading, quote, list,
+ *  or rule).
+ *
+ * @param {string} line The line to escape.
+ *
+ * @returns {string} The escaped line.
+ */
+function escapeBlockStart(line) {
+  return line
+    .replace(/^(\s*)([#>+=-])/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+}
+
+/**
+ * formatURL - Formats the given URL as a Markdown link destination. URLs
+ *  containing spaces or parentheses are wrapped in angle brackets.
+ *
+ * @param {string} url The URL to format.
+ *
+ * @returns {string} The formatted URL.
+ */
+function formatURL(url) {
+  if (/[\s()]/.test(url)) return `<${url.replace(/[<>]/g, encodeURIComponent)}>`;
+  return url;
+}
+
+/**
+ * formatTitle - Formats the given title of a link or image as it follows the
+ *  destination in Markdown, including the leading space.
+ *
+ * @param {string} [title] The title.
+ *
+ * @returns {string} The formatted title, or an empty string if there's no
+ *  title.
+ */
+function formatTitle(title) {
+  return title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+}
+
+/**
+ * wrapMark - Wraps the given Markdown in the given delimiter. Leading and
+ *  trailing whitespace is moved outside the delimiters as CommonMark won't
+ *  recognize emphasis which starts or ends with a space.
+ *
+ * @param {string} markdown The Markdown to wrap.
+ * @param {string} delimiter The delimiter to wrap it in (e.g. '**').
+ *
+ * @returns {string} The wrapped Markdown.
+ */
+function wrapMark(markdown, delimiter) {
+  const match = markdown.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (match[2].length === 0) return markdown;
+  return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+}
+
+/**
+ * codeSpan - Formats the given text as a Markdown code span. The backticks
+ *  around it are made longer than any run of backticks within it.
+ *
+ * @param {string} text The code.
+ *
+ * @returns {string} The code span.
+ */
+function codeSpan(text) {
+  const code = text.replace(/\u00a0|\n/g, ' ');
+  const runs = code.match(/`+/g) || [];
+  const fence = '`'.repeat(Math.max(0, ...runs.map(run => run.length)) + 1);
+  const padding = /^`|`$/.test(code) ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+/**
+ * inlineToMarkdown - Converts the children of the given node into inline
+ *  Markdown. Bold, italic, strikethrough, inline code, and links are kept;
+ *  every other element (including underline and highlight, which Markdown
+ *  can't represent) is replaced by its contents and all inline styles are
+ *  dropped.
+ *
+ * @param {Node} node The node whose children to convert.
+ *
+ * @returns {string} The node's contents as Markdown.
+ */
+function inlineToMarkdown(node) {
+  let markdown = '';
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      markdown += escapeInline(child.textContent);
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    const inner = inlineToMarkdown(child);
+    switch (child.tagName) {
+      case 'B':
+      case 'STRONG':
+        markdown += wrapMark(inner, '**');
+        break;
+      case 'I':
+      case 'EM':
+        markdown += wrapMark(inner, '*');
+        break;
+      case 'S':
+      case 'STRIKE':
+      case 'DEL':
+        markdown += wrapMark(inner, '~~');
+        break;
+      case 'CODE':
+        if (child.textContent.length > 0) markdown += codeSpan(child.textContent);
+        break;
+      case 'A': {
+        const title = formatTitle(child.getAttribute('title'));
+        markdown += `[${inner}](${formatURL(child.getAttribute('href') || '')}${title})`;
+        break;
+      }
+      case 'BR':
+        // A trailing <br> only keeps an empty section open.
+        if (child.nextSibling) markdown += '\\\n';
+        break;
+      default:
+        markdown += inner;
+    }
+  });
+  return markdown;
+}
+
+/**
+ * containerToMarkdown - Converts the given container section into Markdown.
+ *  Images become Markdown images, with their captions as titles, embeds
+ *  become links to their URLs, and horizontal rules become thematic breaks.
+ *  Custom blocks are left out.
+ *
+ * @param {Element} $section The container section to convert.
+ *
+ * @returns {string} The container as Markdown, or an empty string if it
+ *  holds nothing Markdown can represent.
+ */
+function containerToMarkdown($section) {
+  if ($section.hasAttribute('data-block')) return '';
+  const url = $section.getAttribute('data-url');
+  if (url) {
+    if (/^[^\s<>]+$/.test(url)) return `<${url}>`;
+    return `[${escapeInline(url)}](${formatURL(url)})`;
+  }
+  const $img = $section.querySelector('img');
+  if ($img) {
+    const alt = escapeInline($img.getAttribute('alt') || '');
+    const caption = captionText($section);
+    return `![${alt}](${formatURL($img.getAttribute('src') || '')}${formatTitle(caption)})`;
+  }
+  if ($section.querySelector('hr')) return '---';
+  return '';
+}
+
+/**
+ * listToMarkdown - Converts the given list into Markdown list items. The
+ *  lines of each item and any list nested within it are indented to line up
+ *  with the item's text.
+ *
+ * @param {Element} $list The ul or ol to convert.
+ *
+ * @returns {string} The list as Markdown.
+ */
+function listToMarkdown($list) {
+  const lines = [];
+  let number = 1;
+  Array.from($list.children).forEach(($item) => {
+    if ($item.tagName !== 'LI') return;
+    const marker = $list.tagName === 'OL' ? `${number}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    number += 1;
+    const $sublist = findSublist($item);
+    const $content = document.createElement('div');
+    Array.from($item.childNodes).forEach((child) => {
+      if (child !== $sublist) $content.appendChild(child.cloneNode(true));
+    });
+    const text = inlineToMarkdown($content).trim().split('\n').map(escapeBlockStart);
+    lines.push(`${marker}${text[0]}`.replace(/ +$/, ''));
+    text.slice(1).forEach(line => lines.push(`${indent}${line}`));
+    if ($sublist) {
+      listToMarkdown($sublist).split('\n').forEach(line => lines.push(`${indent}${line}`));
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * codeToMarkdown - Converts the given code block into a fenced code block.
+ *  The fence is made longer than any run of backticks in the code.
+ *
+ * @param {Element} $pre The code block to convert.
+ *
+ * @returns {string} The code block as Markdown.
+ */
+function codeToMarkdown($pre) {
+  const text = getCodeText($pre);
+  const runs = text.match(/`{3,}/g) || [];
+  const fence = '`'.repeat(Math.max(3, ...runs.map(run => run.length + 1)));
+  const language = ($pre.getAttribute('data-language') || '').replace(/[`\s]/g, '');
+  return `${fence}${language}\n${text.length > 0 ? `${text}\n` : ''}${fence}`;
+}
+
+/**
+ * toMarkdown - Converts the sections of a WriteFree editor into CommonMark.
+ *  Each section becomes a single block and blocks are separated by a blank
+ *  line. Empty text sections are left out.
+ *
+ * @param {Element} $innerCtn The editor's inner container.
+ * @param {Object} classes The editor's classes (see Editor.generateClasses).
+ *
+ * @returns {string} The contents of the editor as Markdown.
+ */
+export function toMarkdown($innerCtn, classes) {
+  const blocks = [];
+  Array.from($innerCtn.children).forEach(($section) => {
+    let block = '';
+    if ($section.classList.contains(classes.containerSection)) {
+      block = containerToMarkdown($section);
+    } else if (isList($section)) {
+      block = listToMarkdown($section);
+    } else if ($section.tagName === 'PRE') {
+      block = codeToMarkdown($section);
+    } else {
+      const lines = inlineToMarkdown($section).trim().split('\n');
+      block = lines.map(escapeBlockStart).join('\n');
+      if (block.length === 0) return;
+      if ($section.tagName === 'H1') {
+        block = `# ${block.replace(/\\\n/g, ' ')}`;
+      } else if ($section.tagName === 'H2') {
+        block = `## ${block.replace(/\\\n/g, ' ')}`;
+      } else if ($section.tagName === 'BLOCKQUOTE') {
+        block = block.split('\n').map(line => `> ${line}`).join('\n');
+      }
+    }
+    if (block.length > 0) blocks.push(block);
+  });
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
+
+// Matches thematic breaks: three or more *, -, or _ optionally separated by
+// spaces.
+const thematicBreak = /^ {0,3}([*_-])(?:[ \t]*\1){2,}[ \t]*$/;
+
+// Matches ATX headings, capturing the opening #s and the heading's content.
+const atxHeading = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+
+// Matches setext heading underlines.
+const setextUnderline = /^ {0,3}(=+|-+)[ \t]*$/;
+
+// Matches list items, capturing the indentation, the marker, and the item's
+// text.
+const listItem = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+
+// Matches the opening fences of fenced code blocks, capturing the
+// indentation, the fence, and the info string.
+const codeFence = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`]*?)[ \t]*$/;
+
+// Matches the lines of block quotes, capturing the text after the '>'.
+const quoteLine = /^ {0,3}> ?(.*)$/;
+
+// Matches the characters which can be escaped with a backslash.
+const escapable = /[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]/;
+
+/**
+ * unescapeMarkdown - Removes the backslashes from escaped characters in the
+ *  given text.
+ *
+ * @param {string} text The text to unescape.
+ *
+ * @returns {string} The unescaped text.
+ */
+function unescapeMarkdown(text) {
+  return text.replace(/\\([!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-])/g, '$1');
+}
+
+/**
+ * parseLink - Parses an inline link or image beginning at the given position.
+ *  The position must be that of the opening bracket of the link's label.
+ *
+ * @param {string} text The text to parse.
+ * @param {number} start The position of the link's opening bracket.
+ *
+ * @returns {Object || boolean} Returns an object containing the link's label,
+ *  destination, title (an empty string if it has none), and the position
+ *  just past the link, else false if the text at the given position isn't a
+ *  link.
+ */
+function parseLink(text, start) {
+  let depth = 0;
+  let i = start;
+  for (; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === '[') {
+      depth += 1;
+    } else if (text[i] === ']') {
+      depth -= 1;
+      if (depth === 0) break;
+    }
+  }
+  if (depth !== 0 || text[i + 1] !== '(') return false;
+  const label = text.slice(start + 1, i);
+  i += 2;
+  while (text[i] === ' ' || text[i] === '\n') i += 1;
+  let dest = '';
+  if (text[i] === '<') {
+    const close = text.indexOf('>', i);
+    if (close === -1) return false;
+    dest = text.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let parens = 0;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '\\' && escapable.test(text[i + 1] || '')) {
+        dest += text[i];
+        i += 1;
+      } else if (text[i] === '(') {
+        parens += 1;
+      } else if (text[i] === ')') {
+        if (parens === 0) break;
+        parens -= 1;
+      }
+      dest += text[i];
+      i += 1;
+    }
+  }
+  while (text[i] === ' ' || text[i] === '\n') i += 1;
+  const title = text.slice(i).match(/^("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^)\\])*\))[ \n]*/);
+  if (title) i += title[0].length;
+  if (text[i] !== ')') return false;
+  return {
+    label,
+    dest: unescapeMarkdown(dest),
+    title: title ? unescapeMarkdown(title[1].slice(1, -1)) : '',
+    end: i + 1,
+  };
+}
+
+/**
+ * findCloser - Finds the closing emphasis delimiter matching the opening
+ *  delimiter which ends just before the given position. Escaped characters
+ *  are skipped, as are runs of the delimiter's character which belong to a
+ *  different delimiter (e.g. '**' when looking for '*').
+ *
+ * @param {string} text The text to search.
+ * @param {string} delimiter The delimiter to find (e.g. '**').
+ * @param {number} from The position at which to start the search.
+ *
+ * @returns {number} The position of the closing delimiter, or -1 if none was
+ *  found.
+ */
+function findCloser(text, delimiter, from) {
+  const char = delimiter[0];
+  let i = from;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === char) {
+      let end = i;
+      while (text[end] === char) end += 1;
+      const run = end - i;
+      const closes = (run === delimiter.length || run >= 3)
+        && i > from
+        && !/\s/.test(text[i - 1])
+        // Intraword underscores don't close emphasis.
+        && !(char === '_' && /[a-zA-Z0-9]/.test(text[end] || ''));
+      // A longer run closes both a nested delimiter and this one.
+      if (closes) return end - delimiter.length;
+      i = end;
+    } else {
+      i += 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * parseInline - Parses the given inline Markdown into a tree of nodes. Each
+ *  node has a type of 'text', 'strong', 'em', 'strike', 'code', 'link',
+ *  'image', or 'break'.
+ *
+ * @param {string} text The Markdown to parse.
+ *
+ * @returns {Object[]} The parsed nodes.
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+  function pushText() {
+    if (buffer.length > 0) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  }
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1] || '';
+    if (char === '\\' && next === '\n') {
+      pushText();
+      nodes.push({ type: 'break' });
+      i += 2;
+    } else if (char === '\\' && escapable.test(next)) {
+      buffer += next;
+      i += 2;
+    } else if (char === '\n') {
+      if (/ {2,}$/.test(buffer)) {
+        buffer = buffer.replace(/ +$/, '');
+        pushText();
+        nodes.push({ type: 'break' });
+      } else {
+        buffer = `${buffer.replace(/ +$/, '')} `;
+      }
+      i += 1;
+      while (text[i] === ' ') i += 1;
+    } else if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const close = text.indexOf(run, i + run.length);
+      if (close === -1) {
+        buffer += run;
+        i += run.length;
+      } else {
+        pushText();
+        const code = text.slice(i + run.length, close).replace(/\n/g, ' ').replace(/^ (.*) $/, '$1');
+        nodes.push({ type: 'code', text: code });
+        i = close + run.length;
+      }
+    } else if (char === '~' && next === '~') {
+      const run = text.slice(i).match(/^~+/)[0];
+      const opens = run.length === 2 && !/\s/.test(text[i + 2] || ' ');
+      const close = opens ? findCloser(text, '~~', i + 2) : -1;
+      if (close === -1) {
+        buffer += run;
+        i += run.length;
+      } else {
+        pushText();
+        nodes.push({ type: 'strike', children: parseInline(text.slice(i + 2, close)) });
+        i = close + 2;
+      }
+    } else if ((char === '!' && next === '[') || char === '[') {
+      const isImage = char === '!';
+      const link = parseLink(text, isImage ? i + 1 : i);
+      if (link) {
+        pushText();
+        if (isImage) {
+          const alt = parseInline(link.label).map(node => node.text || '').join('');
+          nodes.push({
+            type: 'image',
+            src: link.dest,
+            alt,
+            title: link.title,
+          });
+        } else {
+          nodes.push({
+            type: 'link',
+            href: link.dest,
+            title: link.title,
+            children: parseInline(link.label),
+          });
+        }
+        i = link.end;
+      } else {
+        buffer += char;
+        i += 1;
+      }
+    } else if (char === '<' && /^<[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*>/.test(text.slice(i))) {
+      const close = text.indexOf('>', i);
+      const href = text.slice(i + 1, close);
+      pushText();
+      nodes.push({ type: 'link', href, children: [{ type: 'text', text: href }] });
+      i = close + 1;
+    } else if (
+      (char === '*' || char === '_')
+      && !(char === '_' && /[a-zA-Z0-9]/.test(text[i - 1] || ''))
+    ) {
+      const run = text.slice(i).match(char === '*' ? /^\*+/ : /^_+/)[0];
+      const delimiter = run.slice(0, Math.min(run.length, 3));
+      const opens = !/\s/.test(text[i + run.length] || ' ');
+      const close = opens ? findCloser(text, delimiter, i + delimiter.length) : -1;
+      if (close === -1) {
+        buffer += run;
+        i += run.length;
+      } else {
+        pushText();
+        const children = parseInline(text.slice(i + delimiter.length, close));
+        if (delimiter.length === 3) {
+          nodes.push({ type: 'strong', children: [{ type: 'em', children }] });
+        } else {
+          nodes.push({ type: delimiter.length === 2 ? 'strong' : 'em', children });
+        }
+        i = close + delimiter.length;
+      }
+    } else {
+      buffer += char;
+      i += 1;
+    }
+  }
+  pushText();
+  return nodes;
+}
+
+/**
+ * renderInline - Appends the given inline nodes (see parseInline) to the
+ *  given element. Images inside of text are replaced by their alt text and
+ *  links with unsafe URLs are replaced by their text.
+ *
+ * @param {Object[]} nodes The nodes to render.
+ * @param {Element} $parent The element to which the nodes will be appended.
+ * @param {string[]} schemes The URL schemes allowed in links (see
+ *  options.allowedSchemes).
+ *
+ * @returns {Element} The given $parent.
+ */
+function renderInline(nodes, $parent, schemes) {
+  nodes.forEach((node) => {
+    let $el = null;
+    switch (node.type) {
+      case 'strong':
+        $el = document.createElement('b');
+        break;
+      case 'em':
+        $el = document.createElement('i');
+        break;
+      case 'strike':
+        $el = document.createElement('s');
+        break;
+      case 'code': {
+        const $code = document.createElement('code');
+        $code.textContent = node.text;
+        $parent.appendChild($code);
+        return;
+      }
+      case 'link':
+        if (isSafeURL(node.href, schemes)) {
+          $el = document.createElement('a');
+          $el.href = node.href;
+          if (node.title) $el.title = node.title;
+        }
+        break;
+      case 'break':
+        $parent.appendChild(document.createElement('br'));
+        return;
+      case 'image':
+        $parent.appendChild(document.createTextNode(node.alt));
+        return;
+      default:
+        $parent.appendChild(document.createTextNode(node.text));
+        return;
+    }
+    if ($el) {
+      $parent.appendChild(renderInline(node.children, $el, schemes));
+    } else {
+      renderInline(node.children, $parent, schemes);
+    }
+  });
+  return $parent;
+}
+
+/**
+ * fromMarkdown - Converts the given Markdown into WriteFree sections using the
+ *  given Editor's section factories. Paragraphs become text sections, ATX and
+ *  setext headings become large (level 1) or small (level 2 and deeper)
+ *  headings, thematic breaks become horizontal rules, images which sit alone
+ *  in a paragraph become image containers (with their titles as captions),
+ *  links which sit alone in a paragraph, as their own text, become embeds if
+ *  an embed provider matches them, bulleted and numbered lists
+ *  become list sections, block quotes become quote sections, and fenced and
+ *  indented code blocks become code blocks. Other Markdown blocks are kept as
+ *  plain paragraphs. Links must use one of the Editor's
+ *  options.allowedSchemes, and images must pass editor.isAllowedImageURL.
+ *
+ * @param {string} markdown The Markdown to convert.
+ * @param {Editor} editor The Editor whose factories will create the sections.
+ *
+ * @returns {Element[]} The newly-created sections.
+ */
+export function fromMarkdown(markdown, editor) {
+  const schemes = editor.options.allowedSchemes;
+  const sections = [];
+  let paragraph = [];
+
+  function flushParagraph() {
+    if (paragraph.length === 0) return;
+    const nodes = parseInline(paragraph.join('\n').trim());
+    paragraph = [];
+    if (nodes.length === 1 && nodes[0].type === 'image') {
+      if (editor.isAllowedImageURL(nodes[0].src)) {
+        sections.push(editor.createImageSection(nodes[0].src, nodes[0].alt, nodes[0].title));
+      }
+      return;
+    }
+    if (
+      nodes.length === 1
+      && nodes[0].type === 'link'
+      && nodes[0].children.length === 1
+      && nodes[0].children[0].text === nodes[0].href
+    ) {
+      const $embed = editor.createEmbedSection(nodes[0].href);
+      if ($embed) {
+        sections.push($embed);
+        return;
+      }
+    }
+    sections.push(renderInline(nodes, editor.createTextSection(), schemes));
+  }
+
+  function pushHeading(level, content) {
+    const $heading = editor.createHeadingSection(level);
+    sections.push(renderInline(parseInline(content.trim()), $heading, schemes));
+  }
+
+  // The lists currently open, outermost first. Each is recorded as
+  // { $list, ordered, indent, content } where indent is the column of its
+  // markers and content the column of its items' text.
+  let lists = [];
+  // The item currently open as { $item, lines }.
+  let item = null;
+
+  function flushItem() {
+    if (!item) return;
+    const $text = renderInline(
+      parseInline(item.lines.join('\n').trim()),
+      document.createDocumentFragment(),
+      schemes,
+    );
+    if ($text.childNodes.length === 0) $text.appendChild(document.createElement('br'));
+    item.$item.insertBefore($text, item.$item.firstChild);
+    item = null;
+  }
+
+  function closeLists() {
+    flushItem();
+    lists = [];
+  }
+
+  function startItem(match) {
+    flushParagraph();
+    flushItem();
+    const indent = match[1].length;
+    const ordered = /\d/.test(match[2]);
+    const level = { ordered, indent, content: indent + match[2].length + 1 };
+    while (lists.length > 0 && indent < lists[lists.length - 1].indent) lists.pop();
+    const top = lists[lists.length - 1];
+    if (top && indent >= top.content) {
+      // Items indented past the text of the item above are nested in it.
+      level.$list = document.createElement(ordered ? 'ol' : 'ul');
+      top.$list.lastElementChild.appendChild(level.$list);
+      lists.push(level);
+    } else if (top && top.ordered !== ordered && lists.length > 1) {
+      lists.pop();
+      level.$list = document.createElement(ordered ? 'ol' : 'ul');
+      lists[lists.length - 1].$list.lastElementChild.appendChild(level.$list);
+      lists.push(level);
+    } else if (!top || top.ordered !== ordered) {
+      level.$list = editor.createListSection(ordered);
+      sections.push(level.$list);
+      lists = [level];
+    }
+    item = { $item: document.createElement('li'), lines: [match[3] || ''] };
+    lists[lists.length - 1].$list.appendChild(item.$item);
+  }
+
+  // The lines of the quote currently open, without their markers.
+  let quote = null;
+
+  function flushQuote() {
+    if (!quote) return;
+    const $quote = editor.createQuoteSection();
+    // The quote's paragraphs are kept apart by line breaks.
+    quote.join('\n').split(/\n[ \t]*\n/)
+      .filter(text => text.trim().length > 0)
+      .forEach((text, i) => {
+        if (i > 0) $quote.appendChild(document.createElement('br'));
+        renderInline(parseInline(text.trim()), $quote, schemes);
+      });
+    if ($quote.childNodes.length > 0) sections.push($quote);
+    quote = null;
+  }
+
+  // The code block currently open as { fence, indent, language, lines }.
+  // Indented code blocks have no fence.
+  let code = null;
+
+  function flushCode() {
+    const $code = editor.createCodeSection(code.language);
+    sections.push(setCodeText($code, code.lines.join('\n').replace(/\n+$/, '')));
+    code = null;
+  }
+
+  markdown.replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+    if (code && code.fence) {
+      const closing = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+      if (closing && closing[1][0] === code.fence[0] && closing[1].length >= code.fence.length) {
+        flushCode();
+      } else {
+        // Fenced code is indented no further than its fence.
+        code.lines.push(line.replace(new RegExp(`^ {0,${code.indent}}`), ''));
+      }
+      return;
+    }
+    if (code && (/^(?: {4}|\t)/.test(line) || line.trim().length === 0)) {
+      code.lines.push(line.replace(/^(?: {4}|\t)/, ''));
+      return;
+    }
+    if (code) flushCode();
+    const fence = line.match(codeFence);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+      flushParagraph();
+      closeLists();
+      flushQuote();
+      code = {
+        fence: fence[2],
+        indent: fence[1].length,
+        language: fence[3].split(/\s/)[0],
+        lines: [],
+      };
+      return;
+    }
+    if (/^(?: {4}|\t)/.test(line) && paragraph.length === 0 && lists.length === 0 && !quote) {
+      code = { fence: null, language: '', lines: [line.replace(/^(?: {4}|\t)/, '')] };
+      return;
+    }
+    const underline = line.match(setextUnderline);
+    const heading = line.match(atxHeading);
+    const bullet = line.match(listItem);
+    const quoted = line.match(quoteLine);
+    if (!quoted) flushQuote();
+    if (quoted) {
+      flushParagraph();
+      closeLists();
+      quote = (quote || []).concat(quoted[1]);
+    } else if (line.trim().length === 0) {
+      flushParagraph();
+      // Blank lines end an item's text but not the list.
+      flushItem();
+    } else if (paragraph.length > 0 && underline) {
+      const content = paragraph.join(' ');
+      paragraph = [];
+      pushHeading(underline[1][0] === '=' ? 1 : 2, content);
+    } else if (thematicBreak.test(line)) {
+      flushParagraph();
+      closeLists();
+      sections.push(editor.createLineSection());
+    } else if (heading) {
+      flushParagraph();
+      closeLists();
+      pushHeading(heading[1].length, heading[2] || '');
+    } else if (bullet) {
+      startItem(bullet);
+    } else if (item) {
+      item.lines.push(line);
+    } else {
+      closeLists();
+      paragraph.push(line);
+    }
+  });
+  if (code) flushCode();
+  flushParagraph();
+  closeLists();
+  flushQuote();
+  return sections;
+}
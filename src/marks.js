@@ -0,0 +1,127 @@
+/**
+ * The elements which apply each inline mark, keyed by mark type. The first
+ *  is the one WriteFree creates.
+ */
+export const markTags = {
+  bold: ['B', 'STRONG'],
+  italic: ['I', 'EM'],
+  strike: ['S', 'STRIKE', 'DEL'],
+  underline: ['U'],
+  code: ['CODE'],
+  highlight: ['MARK'],
+};
+
+/**
+ * textNodesInRange - Finds the text nodes holding text within the given
+ *  range. A collapsed range gives the text node it is in, if any.
+ *
+ * @param {Range} range The range to search.
+ *
+ * @returns {Text[]} The text nodes, in document order.
+ */
+export function textNodesInRange(range) {
+  const $root = range.commonAncestorContainer;
+  if ($root.nodeType === Node.TEXT_NODE) return [$root];
+  const walker = document.createTreeWalker($root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (
+      range.intersectsNode(node)
+      && !(node === range.startContainer && range.startOffset === node.length)
+      && !(node === range.endContainer && range.endOffset === 0)
+    ) {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * findMark - Finds the element applying the given mark to the given node.
+ *
+ * @param {Node} node The node whose mark to find.
+ * @param {string} type The type of mark (see markTags).
+ * @param {Element} $root The element within which to look, e.g. the editor.
+ *
+ * @returns {Element || null} The element, or null if the node doesn't have
+ *  the mark.
+ */
+export function findMark(node, type, $root) {
+  let $el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+  while ($el && $el !== $root) {
+    if (markTags[type].includes($el.tagName)) return $el;
+    $el = $el.parentNode;
+  }
+  return null;
+}
+
+/**
+ * splitRange - Splits the text nodes at the edges of the given range so that
+ *  it holds only whole text nodes, and returns them.
+ *
+ * @param {Range} range The range to split.
+ *
+ * @returns {Text[]} The text nodes within the range, in document order.
+ */
+export function splitRange(range) {
+  const {
+    startContainer,
+    startOffset,
+    endContainer,
+    endOffset,
+  } = range;
+  let $first = startContainer;
+  let $last = endContainer;
+  // The end is split first so the start's offset stays correct.
+  if ($last.nodeType === Node.TEXT_NODE && endOffset < $last.length) {
+    $last.splitText(endOffset);
+  }
+  if ($first.nodeType === Node.TEXT_NODE && startOffset > 0) {
+    const $rest = $first.splitText(startOffset);
+    if ($last === $first) $last = $rest;
+    $first = $rest;
+  }
+  const split = document.createRange();
+  if ($first.nodeType === Node.TEXT_NODE) {
+    split.setStartBefore($first);
+  } else {
+    split.setStart(startContainer, startOffset);
+  }
+  if ($last.nodeType === Node.TEXT_NODE) {
+    split.setEndAfter($last);
+  } else {
+    split.setEnd(endContainer, endOffset);
+  }
+  return textNodesInRange(split).filter(node => node.length > 0);
+}
+
+/**
+ * removeMark - Removes the given mark element from around the given text
+ *  node only. The rest of the element's contents keep the mark.
+ *
+ * @param {Text} $text The text node to unmark.
+ * @param {Element} $mark The element applying the mark, an ancestor of $text.
+ *
+ */
+export function removeMark($text, $mark) {
+  const range = document.createRange();
+  range.setStart($mark, 0);
+  range.setEndBefore($text);
+  const before = range.extractContents();
+  if (before.textContent.length > 0) {
+    const $before = $mark.cloneNode(false);
+    $before.appendChild(before);
+    $mark.parentNode.insertBefore($before, $mark);
+  }
+  range.setStartAfter($text);
+  range.setEnd($mark, $mark.childNodes.length);
+  const after = range.extractContents();
+  if (after.textContent.length > 0) {
+    const $after = $mark.cloneNode(false);
+    $after.appendChild(after);
+    $mark.parentNode.insertBefore($after, $mark.nextSibling);
+  }
+  while ($mark.firstChild) $mark.parentNode.insertBefore($mark.firstChild, $mark);
+  $mark.parentNode.removeChild($mark);
+}
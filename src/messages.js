@@ -0,0 +1,103 @@
+import {
+  generateElement,
+  generateButton,
+} from './writeFreeLib.js';
+
+// The levels a message may have, least severe first.
+export const messageLevels = ['info', 'warning', 'error'];
+
+// The most messages shown at once. The oldest are dismissed to make room.
+const maxMessages = 3;
+
+/**
+ * Messages - Tells the user about things the Editor couldn't do, such as an
+ *  image failing to load, with toasts shown in a container along the bottom
+ *  of the page. Each toast has the class 'wf__message' along with
+ *  'wf__message-info', 'wf__message-warning', or 'wf__message-error' for its
+ *  level, so can be styled to suit the page.
+ *
+ * @property {Element} $ctn - The div containing the toasts.
+ */
+export default {
+  /**
+   * init - Initializes Messages, adding the empty container to the Editor's
+   *  container.
+   *
+   * @param {Editor} editor The Editor which owns these Messages.
+   * @param {Object} options The initialization options provided by the user.
+   *
+   * @returns {Messages} Returns this.
+   */
+  init(editor, options) {
+    this.editor = editor;
+    this.options = options;
+    this.$ctn = generateElement('div', 'wf__messages', {
+      contenteditable: false,
+      role: 'status',
+      'aria-live': 'polite',
+    });
+    this.editor.$ctn.appendChild(this.$ctn);
+    return this;
+  },
+
+  /**
+   * show - Shows a toast with the given text, which is dismissed after
+   *  options.messageDuration milliseconds (or when the user closes it if
+   *  that is 0). A toast with an action gets a button for it and stays until
+   *  the user clicks either that or the close button.
+   *
+   * @param {string} level The level of the message (see messageLevels).
+   * @param {string} text The text of the message.
+   * @param {Object} [action] The action the user may take, as { label, run }.
+   *  run is called when the button is clicked.
+   *
+   * @returns {Element} The toast.
+   */
+  show(level, text, action) {
+    const $message = generateElement('div', ['wf__message', `wf__message-${level}`]);
+    if (level === 'error') $message.setAttribute('role', 'alert');
+    const $text = generateElement('span', 'wf__message__text');
+    $text.textContent = text;
+    const $closeBtn = generateButton('&times;', 'wf__message__close', true, {
+      type: 'button',
+      title: 'Dismiss',
+    });
+    $closeBtn.addEventListener('click', () => this.dismiss($message));
+    $message.appendChild($text);
+    if (action) {
+      const $actionBtn = generateButton(action.label, 'wf__message__action', false, { type: 'button' });
+      $actionBtn.addEventListener('click', () => {
+        this.dismiss($message);
+        action.run();
+      });
+      $message.appendChild($actionBtn);
+    }
+    $message.appendChild($closeBtn);
+    this.$ctn.appendChild($message);
+    while (this.$ctn.children.length > maxMessages) this.dismiss(this.$ctn.firstChild);
+    if (!action && this.options.messageDuration > 0) {
+      $message.timeout = setTimeout(() => this.dismiss($message), this.options.messageDuration);
+    }
+    return $message;
+  },
+
+  /**
+   * dismiss - Removes the given toast.
+   *
+   * @param {Element} $message The toast to remove.
+   *
+   */
+  dismiss($message) {
+    clearTimeout($message.timeout);
+    if ($message.parentNode) $message.parentNode.removeChild($message);
+  },
+
+  /**
+   * destroy - Dismisses every toast and removes the container.
+   *
+   */
+  destroy() {
+    Array.from(this.$ctn.children).forEach($message => this.dismiss($message));
+    if (this.$ctn.parentNode) this.$ctn.parentNode.removeChild(this.$ctn);
+  },
+};
@@ -0,0 +1,309 @@
+import sanitize from './sanitizer.js';
+import {
+  findURLs,
+  validateURL,
+  isList,
+  captionText,
+} from './writeFreeLib.js';
+import { inlineToJSON } from './documentJSON.js';
+
+// Elements which start a new block when pasted. Anything else is treated as
+// inline content.
+const blockTags = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL',
+  'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL',
+];
+
+// The elements, attributes, and schemes kept when pasting. Styles are kept
+// only long enough to find formatted spans (see normalizeMarks), and
+// classes on code only to find its language (see codeLanguage).
+const pasteSchema = {
+  tags: blockTags.map(tag => tag.toLowerCase()).concat([
+    'a', 'b', 'strong', 'i', 'em', 'br', 'img', 'span', 'code', 's', 'strike', 'del',
+    'u', 'mark',
+  ]),
+  attributes: {
+    '*': ['style'],
+    a: ['href'],
+    img: ['src', 'alt'],
+    pre: ['data-language'],
+    code: ['class'],
+  },
+};
+
+/**
+ * unwrap - Replaces the given element with its contents.
+ *
+ * @param {Element} $el The element to unwrap.
+ *
+ */
+function unwrap($el) {
+  while ($el.firstChild) $el.parentNode.insertBefore($el.firstChild, $el);
+  $el.parentNode.removeChild($el);
+}
+
+/**
+ * wrapContents - Moves the contents of the given element into a new element
+ *  of the given tag, which then becomes the element's only child.
+ *
+ * @param {Element} $el The element whose contents to wrap.
+ * @param {string} tagName The tag of the wrapping element.
+ *
+ */
+function wrapContents($el, tagName) {
+  const $wrapper = document.createElement(tagName);
+  while ($el.firstChild) $wrapper.appendChild($el.firstChild);
+  $el.appendChild($wrapper);
+}
+
+/**
+ * collapseWhitespace - Collapses runs of whitespace in the text within the
+ *  given element into single spaces, as the browser would when displaying
+ *  it. Text within pre elements is left alone.
+ *
+ * @param {Element} $root The element whose text to collapse.
+ *
+ */
+function collapseWhitespace($root) {
+  const walker = document.createTreeWalker($root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  textNodes.forEach((textNode) => {
+    if (textNode.parentNode.closest('pre')) return;
+    const collapsed = textNode.data.replace(/[ \t\n\r\f]+/g, ' ');
+    textNode.replaceData(0, textNode.length, collapsed);
+  });
+}
+
+/**
+ * normalizeMarks - Converts formatting applied through inline styles, as
+ *  pasted from word processors like Google Docs, into b, i, s, and u
+ *  elements. Bold elements which are styled not to be bold (Google Docs wraps
+ *  everything it copies in one) are unwrapped.
+ *
+ * @param {Element} $root The element whose descendants to normalize.
+ *
+ */
+function normalizeMarks($root) {
+  Array.from($root.querySelectorAll('[style]')).forEach(($el) => {
+    const weight = $el.style.fontWeight;
+    const isBold = weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600;
+    const isNormal = weight === 'normal' || parseInt(weight, 10) < 600;
+    if (($el.tagName === 'B' || $el.tagName === 'STRONG') && isNormal) {
+      if ($el.style.fontStyle === 'italic') wrapContents($el, 'i');
+      unwrap($el);
+      return;
+    }
+    if ($el.tagName !== 'SPAN') return;
+    const decoration = `${$el.style.textDecoration} ${$el.style.textDecorationLine}`;
+    if (/line-through/.test(decoration)) wrapContents($el, 's');
+    // Links are underlined anyway.
+    if (/underline/.test(decoration) && !$el.closest('a')) wrapContents($el, 'u');
+    if ($el.style.fontStyle === 'italic') wrapContents($el, 'i');
+    if (isBold) wrapContents($el, 'b');
+  });
+}
+
+/**
+ * trimContent - Removes the leading and trailing whitespace, which isn't
+ *  content, from the given text runs.
+ *
+ * @param {Object[]} content The text runs.
+ *
+ * @returns {Object[]} The trimmed text runs, or an empty array if they hold
+ *  nothing but whitespace.
+ */
+function trimContent(content) {
+  if (!content.some(run => run.text.trim().length > 0)) return [];
+  const trimmed = content.map(run => Object.assign({}, run));
+  trimmed[0].text = trimmed[0].text.replace(/^\s+/, '');
+  const last = trimmed[trimmed.length - 1];
+  last.text = last.text.replace(/\s+$/, '');
+  return trimmed.filter(run => run.text.length > 0);
+}
+
+/**
+ * listToBlock - Converts a pasted list into a list block. Lists nested
+ *  within an item are kept; everything else in the item becomes its text.
+ *
+ * @param {Element} $list The ul or ol to convert.
+ *
+ * @returns {Object} The list block, without its type.
+ */
+function listToBlock($list) {
+  const items = [];
+  Array.from($list.children).forEach(($item) => {
+    if ($item.tagName !== 'LI') return;
+    const $content = $item.cloneNode(true);
+    Array.from($content.querySelectorAll('ul, ol')).forEach(($nested) => {
+      if ($nested.parentNode) $nested.parentNode.removeChild($nested);
+    });
+    const item = { content: trimContent(inlineToJSON($content)) };
+    const $sublist = $item.querySelector('ul, ol');
+    if ($sublist) item.list = listToBlock($sublist);
+    items.push(item);
+  });
+  return { ordered: $list.tagName === 'OL', items };
+}
+
+/**
+ * codeLanguage - Finds the language of a pasted code block, given either by
+ *  its data-language attribute or by a 'language-' or 'lang-' class on its
+ *  code element, as most syntax highlighters add.
+ *
+ * @param {Element} $pre The pasted pre.
+ *
+ * @returns {string} The language, or an empty string if it isn't known.
+ */
+function codeLanguage($pre) {
+  if ($pre.getAttribute('data-language')) return $pre.getAttribute('data-language');
+  const $code = $pre.querySelector('code');
+  const match = $code && ($code.getAttribute('class') || '').match(/(?:^|\s)lang(?:uage)?-(\S+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * quoteBlocks - Joins the text of the given blocks, pasted within a
+ *  blockquote, into a single quote block. Each block's text starts a new
+ *  line. Images, dividers, and lists are kept after the quote.
+ *
+ * @param {Object[]} blocks The blocks pasted within the blockquote.
+ *
+ * @returns {Object[]} The quote block followed by the blocks which aren't
+ *  text.
+ */
+function quoteBlocks(blocks) {
+  const content = [];
+  const others = [];
+  blocks.forEach((block) => {
+    if (!block.content) {
+      others.push(block);
+      return;
+    }
+    if (content.length > 0) content.push({ text: '\n', marks: [] });
+    block.content.forEach(run => content.push(run));
+  });
+  if (content.length === 0) return others;
+  return [{ type: 'quote', pull: false, content }].concat(others);
+}
+
+/**
+ * linkifyText - Converts pasted plain text into text runs (see
+ *  DOCUMENT_VERSION in documentJSON.js) in which each URL is a link.
+ *
+ * @param {string} rawText The pasted text.
+ *
+ * @returns {Object[]} The text runs.
+ */
+export function linkifyText(rawText) {
+  const text = rawText.replace(/\r\n?/g, '\n');
+  const content = [];
+  let position = 0;
+  findURLs(text).forEach(({ url, index }) => {
+    if (index > position) content.push({ text: text.slice(position, index), marks: [] });
+    content.push({ text: url, marks: [{ type: 'link', href: validateURL(url) }] });
+    position = index + url.length;
+  });
+  if (position < text.length) content.push({ text: text.slice(position), marks: [] });
+  return content;
+}
+
+/**
+ * pastedHTMLToBlocks - Converts pasted HTML into blocks (see
+ *  DOCUMENT_VERSION in documentJSON.js). The HTML is sanitized first. h1
+ *  becomes a large heading and h2 through h6 become small headings, images
+ *  become image blocks (keeping the captions of figures), horizontal rules
+ *  become dividers, lists become list blocks, blockquotes become quotes, pre
+ *  elements become code blocks keeping their whitespace, and every other
+ *  block of text becomes a paragraph keeping its marks (see markTags in
+ *  documentJSON.js) and links.
+ *
+ * @param {string} html The pasted HTML.
+ * @param {string[]} schemes The URL schemes allowed in links and images.
+ *
+ * @returns {Object[]} The blocks.
+ */
+export default function pastedHTMLToBlocks(html, schemes) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const $root = doc.body;
+  sanitize($root, Object.assign({ schemes }, pasteSchema));
+  normalizeMarks($root);
+  collapseWhitespace($root);
+
+  const blocks = [];
+  let $inline = doc.createElement('div');
+
+  function flush() {
+    const content = trimContent(inlineToJSON($inline));
+    if (content.length > 0) blocks.push({ type: 'paragraph', content });
+    $inline = doc.createElement('div');
+  }
+
+  function walk(node) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.tagName === 'IMG') {
+        flush();
+        if (child.getAttribute('src')) {
+          blocks.push({ type: 'image', src: child.getAttribute('src'), alt: child.getAttribute('alt') || '' });
+        }
+      } else if (child.tagName === 'FIGURE' && child.querySelector('img[src]')) {
+        flush();
+        const $img = child.querySelector('img[src]');
+        blocks.push({
+          type: 'image',
+          src: $img.getAttribute('src'),
+          alt: $img.getAttribute('alt') || '',
+          caption: captionText(child),
+        });
+      } else if (child.tagName === 'HR') {
+        flush();
+        blocks.push({ type: 'divider' });
+      } else if (isList(child)) {
+        flush();
+        blocks.push(Object.assign({ type: 'list' }, listToBlock(child)));
+      } else if (/^H[1-6]$/.test(child.tagName || '')) {
+        flush();
+        const text = child.textContent.replace(/\s+/g, ' ').trim();
+        if (text.length > 0) {
+          blocks.push({
+            type: 'heading',
+            level: child.tagName === 'H1' ? 1 : 2,
+            content: [{ text, marks: [] }],
+          });
+        }
+      } else if (child.tagName === 'PRE') {
+        flush();
+        const $text = child.cloneNode(true);
+        Array.from($text.querySelectorAll('br')).forEach(($br) => {
+          $br.parentNode.replaceChild(doc.createTextNode('\n'), $br);
+        });
+        blocks.push({
+          type: 'code',
+          language: codeLanguage(child),
+          text: $text.textContent.replace(/\n$/, ''),
+        });
+      } else if (child.tagName === 'BLOCKQUOTE') {
+        flush();
+        const start = blocks.length;
+        walk(child);
+        flush();
+        quoteBlocks(blocks.splice(start)).forEach(block => blocks.push(block));
+      } else if (blockTags.includes(child.tagName)) {
+        flush();
+        walk(child);
+        flush();
+      } else if (child.nodeType === Node.ELEMENT_NODE && child.querySelector('img, hr')) {
+        // Inline elements holding images are split around them.
+        walk(child);
+      } else {
+        $inline.appendChild(child.cloneNode(true));
+      }
+    });
+  }
+
+  walk($root);
+  flush();
+  return blocks;
+}
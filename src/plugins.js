@@ -0,0 +1,118 @@
+import ToolbarButton from './tb_components/tbButton.js';
+import ToolbarInput from './tb_components/tbInput.js';
+
+/**
+ * PluginAPI - What plugins are given to extend an Editor with. A plugin is a
+ *  function which is called with the PluginAPI once, either when the Editor
+ *  is created (see options.plugins) or when passed to use.
+ *
+ * @property {Editor} editor - The Editor being extended, for plugins which
+ *  need more than the methods below.
+ * @property {ToolbarButton} ToolbarButton - The toolbar button component.
+ * @property {ToolbarInput} ToolbarInput - The toolbar input component.
+ */
+export default {
+  /**
+   * init - Initializes the PluginAPI.
+   *
+   * @param {Editor} editor The Editor which plugins will extend.
+   *
+   * @returns {PluginAPI} Returns this.
+   */
+  init(editor) {
+    this.editor = editor;
+    this.ToolbarButton = ToolbarButton;
+    this.ToolbarInput = ToolbarInput;
+    return this;
+  },
+
+  /**
+   * use - Installs the given plugin by calling it with this PluginAPI.
+   *
+   * @param {Function} plugin The plugin.
+   *
+   * @returns {boolean} Returns true if the plugin was installed, or false if
+   *  it isn't a function.
+   */
+  use(plugin) {
+    if (typeof plugin !== 'function') return false;
+    plugin(this);
+    return true;
+  },
+
+  /**
+   * toolbar - Finds the Editor's toolbar of the given name.
+   *
+   * @param {string} name Either 'edit', 'insert', or 'image'.
+   *
+   * @returns {Toolbar || null} The toolbar, or null if there's none of that
+   *  name.
+   */
+  toolbar(name) {
+    const toolbars = {
+      edit: this.editor.editToolbar,
+      insert: this.editor.insertToolbar,
+      image: this.editor.imageToolbar,
+    };
+    return toolbars[name] || null;
+  },
+
+  /**
+   * addButton - Adds a button to the given toolbar, after its own buttons.
+   *  The button's onClick is given the Editor and the toolbar, whose
+   *  promptInput method asks the user for a value.
+   *
+   * @param {string} toolbar The name of the toolbar (see toolbar).
+   * @param {Object} button The button, as { content, title, onClick, command,
+   *  isActive, isDisabled } (see BaseToolbar.addPluginButton).
+   *
+   * @returns {ToolbarButton || null} The newly-created button, or null if
+   *  there's no toolbar of the given name.
+   */
+  addButton(toolbar, button) {
+    const target = this.toolbar(toolbar);
+    if (!target || !button || typeof button !== 'object') return null;
+    return target.addPluginButton(button);
+  },
+
+  /**
+   * addCommand - Adds a command to the Editor's Keymap, bound to the given key
+   *  combinations unless options.keymap binds it already.
+   *
+   * @param {string} name The name of the command.
+   * @param {Function} command The function to call, which is given the Editor
+   *  and returns true if it did anything.
+   * @param {string || string[]} [combos] The key combination(s) to bind the
+   *  command to (see Keymap.bind).
+   *
+   */
+  addCommand(name, command, combos) {
+    const { keymap } = this.editor;
+    keymap.addCommand(name, command);
+    if (combos && !keymap.bindings[name]) keymap.bind(name, combos);
+  },
+
+  /**
+   * runCommand - Runs the Editor command of the given name, whether one of
+   *  its own (see defaultCommands in keymap.js) or one added by a plugin.
+   *
+   * @param {string} name The name of the command.
+   *
+   * @returns {boolean} Returns true if the command did anything else false.
+   */
+  runCommand(name) {
+    return this.editor.keymap.run(name);
+  },
+
+  /**
+   * notify - Tells the user something, e.g. that a plugin's button couldn't
+   *  do what was asked (see Editor.notify).
+   *
+   * @param {string} level Either 'info', 'warning', or 'error'.
+   * @param {string} text The message.
+   *
+   */
+  notify(level, text) {
+    this.editor.notify(level, text);
+  },
+};
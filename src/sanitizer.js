@@ -0,0 +1,172 @@
+import { isSafeURL, isImageDataURL } from './writeFreeLib.js';
+
+// Elements which are removed along with their contents rather than being
+// replaced by them.
+const dropWithContents = [
+  'script',
+  'style',
+  'template',
+  'iframe',
+  'object',
+  'embed',
+  'noscript',
+  'head',
+  'title',
+  'meta',
+  'link',
+];
+
+// Attributes whose values are URLs.
+const urlAttributes = ['href', 'src'];
+
+// Matches style values which can run script in older browsers.
+const unsafeStyle = /expression\s*\(|url\s*\(\s*['"]?\s*javascript:/i;
+
+/**
+ * isAllowedAttribute - Determines whether the given attribute is allowed on
+ *  the given element by the schema. Attributes listed under '*' are allowed
+ *  on every element.
+ *
+ * @param {string} tagName The lower-case tag name of the element.
+ * @param {string} name The lower-case name of the attribute.
+ * @param {Object} schema The schema (see sanitize).
+ *
+ * @returns {boolean} Returns true if the attribute is allowed else false.
+ */
+function isAllowedAttribute(tagName, name, schema) {
+  const attributes = schema.attributes || {};
+  return (attributes['*'] || []).includes(name)
+    || (attributes[tagName] || []).includes(name);
+}
+
+/**
+ * isAllowedURL - Determines whether the given URL attribute is allowed by the
+ *  schema. Image data URLs are allowed in img src attributes only if the
+ *  schema's imageData is set.
+ *
+ * @param {string} tagName The lower-case tag name of the element.
+ * @param {string} name The lower-case name of the attribute.
+ * @param {string} value The URL.
+ * @param {Object} schema The schema (see sanitize).
+ *
+ * @returns {boolean} Returns true if the URL is allowed else false.
+ */
+function isAllowedURL(tagName, name, value, schema) {
+  if (isSafeURL(value, schema.schemes)) return true;
+  return Boolean(schema.imageData) && tagName === 'img' && name === 'src'
+    && isImageDataURL(value);
+}
+
+/**
+ * sanitizeAttributes - Removes the attributes of the given element which
+ *  aren't allowed by the schema, along with URL attributes whose scheme isn't
+ *  allowed and unsafe inline styles.
+ *
+ * @param {Element} $el The element to sanitize.
+ * @param {Object} schema The schema (see sanitize).
+ * @param {Object[]} removed The report to which removals are added.
+ *
+ */
+function sanitizeAttributes($el, schema, removed) {
+  const tagName = $el.tagName.toLowerCase();
+  Array.from($el.attributes).forEach((attr) => {
+    const name = attr.name.toLowerCase();
+    let reason = null;
+    if (name.startsWith('on') || !isAllowedAttribute(tagName, name, schema)) {
+      reason = 'attribute';
+    } else if (urlAttributes.includes(name) && !isAllowedURL(tagName, name, attr.value, schema)) {
+      reason = 'url';
+    } else if (name === 'style' && unsafeStyle.test(attr.value)) {
+      reason = 'style';
+    }
+    if (reason) {
+      $el.removeAttribute(attr.name);
+      removed.push({
+        kind: reason,
+        tag: tagName,
+        name,
+        value: attr.value,
+      });
+    }
+  });
+}
+
+/**
+ * guardNewTabLink - Adds 'noopener noreferrer' to the rel of the given link
+ *  if it opens in a new tab, so the page it opens can't reach back to this
+ *  one through window.opener.
+ *
+ * @param {Element} $el The element to guard.
+ *
+ */
+function guardNewTabLink($el) {
+  if ($el.tagName.toLowerCase() !== 'a') return;
+  if (($el.getAttribute('target') || '').toLowerCase() !== '_blank') return;
+  const rel = ($el.getAttribute('rel') || '').split(/\s+/).filter(token => token);
+  ['noopener', 'noreferrer'].forEach((token) => {
+    if (!rel.includes(token)) rel.push(token);
+  });
+  $el.setAttribute('rel', rel.join(' '));
+}
+
+/**
+ * sanitizeNode - Sanitizes the children of the given node in place. Elements
+ *  which aren't allowed are replaced by their contents, or removed with their
+ *  contents if they could hold script. Comments are removed.
+ *
+ * @param {Node} node The node whose children to sanitize.
+ * @param {Object} schema The schema (see sanitize).
+ * @param {Object[]} removed The report to which removals are added.
+ *
+ */
+function sanitizeNode(node, schema, removed) {
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      node.removeChild(child);
+      return;
+    }
+    const tagName = child.tagName.toLowerCase();
+    if (dropWithContents.includes(tagName)) {
+      node.removeChild(child);
+      removed.push({ kind: 'element', tag: tagName, contents: true });
+      return;
+    }
+    sanitizeNode(child, schema, removed);
+    if (!schema.tags.includes(tagName)) {
+      while (child.firstChild) node.insertBefore(child.firstChild, child);
+      node.removeChild(child);
+      removed.push({ kind: 'element', tag: tagName, contents: false });
+      return;
+    }
+    sanitizeAttributes(child, schema, removed);
+    guardNewTabLink(child);
+  });
+}
+
+/**
+ * sanitize - Sanitizes the given element and its descendants in place against
+ *  the given schema. The element itself is kept but its attributes are
+ *  sanitized.
+ *
+ * @param {Element} $root The element to sanitize.
+ * @param {Object} schema The allow-list to sanitize against:
+ *  - tags: The lower-case tag names of the allowed elements.
+ *  - attributes: An Object mapping lower-case tag names (or '*' for every
+ *    element) to the lower-case names of their allowed attributes. Event
+ *    handler attributes (on*) are never allowed.
+ *  - schemes: The URL schemes allowed in href and src attributes. Relative
+ *    URLs are always allowed.
+ *  - imageData: If true, img src attributes may also be image data URLs.
+ *  Links kept with target="_blank" are given rel="noopener noreferrer".
+ *
+ * @returns {Object[]} A report of everything which was removed. Each entry has
+ *  a kind ('element', 'attribute', 'url', or 'style') and the tag it was
+ *  removed from. Attribute entries also have the attribute's name and value.
+ */
+export default function sanitize($root, schema) {
+  const removed = [];
+  sanitizeAttributes($root, schema, removed);
+  sanitizeNode($root, schema, removed);
+  return removed;
+}
@@ -3,6 +3,7 @@ import {
 } from '../writeFreeLib.js';
 
 import tbClass from './tbClasses.js';
+import ToolbarButton from './tbButton.js';
 import ToolbarInput from './tbInput.js';
 
 
@@ -43,10 +44,87 @@ const BaseToolbar = {
     this.$btnCtn = generateElement('div', tbClass.btnCtn);
     this.$ctn.appendChild(this.$btnCtn);
     this.input = Object.create(ToolbarInput);
+    // The buttons added by plugins, as { btn, button } (see addPluginButton).
+    this.pluginBtns = [];
     this.editor.$ctn.appendChild(this.$ctn);
     return this;
   },
 
+  /**
+   * addPluginButton - Adds a button given by a plugin (see PluginAPI.addButton)
+   *  after the Toolbar's own buttons.
+   *
+   * @param {Object} button The button, as { content, title, onClick, command,
+   *  isActive, isDisabled }. onClick is given the Editor and this Toolbar;
+   *  without it, clicking the button runs the Editor command named by
+   *  command. isActive and isDisabled are given the Editor each time the
+   *  Toolbar is displayed and return whether to mark the button active or
+   *  disable it.
+   *
+   * @returns {ToolbarButton} The newly-created button.
+   */
+  addPluginButton(button) {
+    const { keymap } = this.editor;
+    const title = button.command ? keymap.title(button.title || '', button.command) : button.title;
+    const btn = Object.create(ToolbarButton);
+    btn.init(button.content, title || '', () => {
+      if (typeof button.onClick === 'function') {
+        button.onClick(this.editor, this);
+      } else if (button.command) {
+        keymap.run(button.command);
+      }
+      this.togglePluginButtons();
+    }, this.$btnCtn);
+    this.pluginBtns.push({ btn, button });
+    return btn;
+  },
+
+  /**
+   * togglePluginButtons - Marks each plugin button active and disables it
+   *  according to its isActive and isDisabled callbacks.
+   *
+   */
+  togglePluginButtons() {
+    this.pluginBtns.forEach(({ btn, button }) => {
+      if (typeof button.isActive === 'function' && button.isActive(this.editor)) {
+        btn.markActive();
+      } else {
+        btn.markInactive();
+      }
+      if (typeof button.isDisabled === 'function' && button.isDisabled(this.editor)) {
+        btn.disable();
+      } else {
+        btn.enable();
+      }
+    });
+  },
+
+  /**
+   * promptInput - Displays the input in place of the buttons, e.g. for a
+   *  plugin button to ask for a URL. When the user presses Enter the given
+   *  saveHandler is called with the value typed and the range which was
+   *  selected when the input was displayed. If it returns false, the input is
+   *  cleared so the user can try again; otherwise it is hidden.
+   *
+   * @param {string} placeholder The placeholder of the input.
+   * @param {Function} saveHandler The function to call with the value.
+   * @param {string} [value=''] The value to fill the input with.
+   *
+   */
+  promptInput(placeholder, saveHandler, value = '') {
+    this.input.setSaveHandler((text, range) => {
+      if (saveHandler(text, range) === false) {
+        this.input.clear(placeholder);
+      } else {
+        this.input.hide();
+      }
+    });
+    this.input.preventHideOnEnter = true;
+    this.hideButtons();
+    this.input.display(placeholder);
+    this.input.setValue(value);
+  },
+
   /**
    * getButtonsWidth - Returns the width of the button container.
    *
@@ -132,6 +210,7 @@ const BaseToolbar = {
    */
   baseDisplay() {
     this.input.hide(false);
+    this.togglePluginButtons();
     this.$ctn.classList.remove('hide');
     this.positionToolbar();
     this.displayButtons();
@@ -166,6 +245,18 @@ const BaseToolbar = {
   contains(node) {
     return this.$ctn.contains(node);
   },
+
+  /**
+   * destroy - Removes the Toolbar from the page.
+   *
+   */
+  destroy() {
+    this.input.destroy();
+    this.currentRange = null;
+    if (this.$ctn.parentNode) {
+      this.$ctn.parentNode.removeChild(this.$ctn);
+    }
+  },
 };
 
 export default BaseToolbar;
@@ -1 +1 @@
-export default '@import url("https://fonts.googleapis.com/css?family=Crimson+Text:400,700|Roboto");@keyframes fade-in {  from {    opacity: 0;  }  to {    opacity: 1;  }}@keyframes expand-width {  from {    width: 0;  }  to {    width: 15rem;  }}.wf__ctn * {  margin: 0;  padding: 0;  font-size: 16px;  color: inherit;}.wf__ctn button:hover,.wf__ctn a:hover,.wf__ctn input:hover {  box-shadow: none;  transform: none;}.wf__toolbar {  position: fixed;  display: inline-block;  font-family: "Roboto", sans-serif;  background: linear-gradient(#555, #222);  padding: 0.25rem 0.25rem;  border-radius: 0.25rem;  box-shadow: 0.1rem 0.1rem 1rem 0.1rem rgba(0, 0, 0, 0.55);  animation: fade-in 0.15s ease-out;  transition: width 0.2s;  overflow: hidden;  min-width: 1rem;}.wf__toolbar__btn-ctn {  transition: transform 0.2s;}.wf__toolbar__btn {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  background: none;  color: #fff;  border: 1px solid rgba(0, 0, 0, 0);  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  box-shadow: none;  transform: none;}.wf__toolbar__btn:hover {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid #fff;  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  background: rgba(255, 255, 255, 0.075);}.wf__toolbar__btn:active {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid #bbb;  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  background: rgba(0, 0, 0, 0.2);}.wf__toolbar__btn-active {  color: #A9D943;  border-color: #A9D943;}.wf__toolbar__btn-disabled {  color: #666;}.wf__toolbar__btn-disabled:hover {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid rgba(0, 0, 0, 0);  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  transform: none;  color: #666;  box-shadow: none;}.wf__toolbar__input-ctn {  box-sizing: border-box;  position: absolute;  width: 15rem;  height: 100%;  top: 0;  left: 0;  z-index: 1;  padding: 0.25rem 0.25rem;  padding-left: 5.3333333333px;  animation: fade-in 0.15s ease-out;  transition: all 0.2s;}.wf__toolbar__input-ctn button {  display: inline-block;  position: absolute;  right: 5.3333333333px;  margin-right: 0;}.wf__toolbar__input-ctn button:hover {  display: inline-block;  position: absolute;  right: 5.3333333333px;  margin-right: 0;}.wf__toolbar__input {  display: inline-block;  max-width: 100%;  height: 100%;  margin: 0;  padding: 0;  border: none;  outline: none;  background: none;  color: white;  padding-left: 0.1rem;  font-size: 16px;}.wf__toolbar-hide-up {  transform: translateY(-150%);  visibility: hidden;}.wf__toolbar-hide-down {  transform: translateY(150%);  visibility: hidden;}.wf__toolbar-wide {  width: 15rem;}.wf__toolbar.hide {  display: none !important;}.wf__editor p:first-child:empty:not(:focus)::before,.wf__editor div:first-child:empty:not(:focus)::before {  content: "placeholder_text";  color: grey;  font-style: italic;}/*# sourceMappingURL=site.css.map */';
+export default '@import url("https://fonts.googleapis.com/css?family=Crimson+Text:400,700|Roboto");@keyframes fade-in {  from {    opacity: 0;  }  to {    opacity: 1;  }}@keyframes expand-width {  from {    width: 0;  }  to {    width: 15rem;  }}.wf__ctn * {  margin: 0;  padding: 0;  font-size: 16px;  color: inherit;}.wf__ctn button:hover,.wf__ctn a:hover,.wf__ctn input:hover {  box-shadow: none;  transform: none;}.wf__toolbar {  position: fixed;  display: inline-block;  font-family: "Roboto", sans-serif;  background: linear-gradient(#555, #222);  padding: 0.25rem 0.25rem;  border-radius: 0.25rem;  box-shadow: 0.1rem 0.1rem 1rem 0.1rem rgba(0, 0, 0, 0.55);  animation: fade-in 0.15s ease-out;  transition: width 0.2s;  overflow: hidden;  min-width: 1rem;}.wf__toolbar__btn-ctn {  transition: transform 0.2s;}.wf__toolbar__btn {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  background: none;  color: #fff;  border: 1px solid rgba(0, 0, 0, 0);  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  box-shadow: none;  transform: none;}.wf__toolbar__btn:hover {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid #fff;  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  background: rgba(255, 255, 255, 0.075);}.wf__toolbar__btn:active {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid #bbb;  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  background: rgba(0, 0, 0, 0.2);}.wf__toolbar__btn-active {  color: #A9D943;  border-color: #A9D943;}.wf__toolbar__btn-disabled {  color: #666;}.wf__toolbar__btn-disabled:hover {  display: inline-block;  box-sizing: border-box;  margin: 0 0.1rem;  color: #fff;  border: 1px solid rgba(0, 0, 0, 0);  border-radius: 0.25rem;  transition: all 0.2s;  font-size: 16px;  width: 32px;  height: 28px;  line-height: 20px;  text-align: center;  outline: none;  z-index: 0;  vertical-align: baseline;  transform: none;  color: #666;  box-shadow: none;}.wf__toolbar__input-ctn {  box-sizing: border-box;  position: absolute;  width: 15rem;  height: 100%;  top: 0;  left: 0;  z-index: 1;  padding: 0.25rem 0.25rem;  padding-left: 5.3333333333px;  animation: fade-in 0.15s ease-out;  transition: all 0.2s;}.wf__toolbar__input-ctn button {  display: inline-block;  position: absolute;  right: 5.3333333333px;  margin-right: 0;}.wf__toolbar__input-ctn button:hover {  display: inline-block;  position: absolute;  right: 5.3333333333px;  margin-right: 0;}.wf__toolbar__input {  display: inline-block;  max-width: 100%;  height: 100%;  margin: 0;  padding: 0;  border: none;  outline: none;  background: none;  color: white;  padding-left: 0.1rem;  font-size: 16px;}.wf__toolbar__input-actions {  display: none;}.wf__toolbar__input-ctn-actions {  display: flex;  width: 25rem;  padding-right: 40px;}.wf__toolbar__input-ctn-actions .wf__toolbar__input {  flex: 1 1 auto;  min-width: 0;}.wf__toolbar__input-ctn-actions .wf__toolbar__input-actions {  display: flex;  flex: none;}.wf__toolbar__input-ctn-actions .wf__toolbar__input-actions button,.wf__toolbar__input-ctn-actions .wf__toolbar__input-actions button:hover {  position: static;}.wf__toolbar-hide-up {  transform: translateY(-150%);  visibility: hidden;}.wf__toolbar-hide-down {  transform: translateY(150%);  visibility: hidden;}.wf__toolbar-wide {  width: 15rem;}.wf__toolbar.hide {  display: none !important;}.wf__editor p:first-child:empty:not(:focus)::before,.wf__editor div:first-child:empty:not(:focus)::before {  content: var(--wf__placeholder);  color: grey;  font-style: italic;}.wf__editor figcaption:empty::before {  content: var(--wf__caption-placeholder);  color: grey;  font-style: italic;}.wf__editor .wf__selected-image img {  outline: 3px solid #A9D943;}.wf__messages {  position: fixed;  bottom: 1rem;  left: 50%;  transform: translateX(-50%);  z-index: 1000;  font-family: "Roboto", sans-serif;}.wf__messages .wf__message {  display: flex;  align-items: center;  max-width: 30rem;  margin-top: 0.5rem;  padding: 0.5rem 0.75rem;  background: linear-gradient(#555, #222);  color: #fff;  border-left: 0.25rem solid #A9D943;  border-radius: 0.25rem;  box-shadow: 0.1rem 0.1rem 1rem 0.1rem rgba(0, 0, 0, 0.55);  animation: fade-in 0.15s ease-out;}.wf__messages .wf__message-warning {  border-left-color: #F2C94C;}.wf__messages .wf__message-error {  border-left-color: #E5534B;}.wf__messages .wf__message__action {  margin-left: 0.75rem;  padding: 0.25rem 0.5rem;  background: none;  border: 1px solid #A9D943;  border-radius: 0.25rem;  color: inherit;  cursor: pointer;}.wf__messages .wf__message__close {  margin-left: 0.75rem;  background: none;  border: none;  color: inherit;  cursor: pointer;}/*# sourceMappingURL=site.css.map */';
@@ -7,6 +7,8 @@ export default (function tbClass() {
   obj.btnCtn = `${obj.btn}-ctn`;
   obj.input = `${obj.main}__input`;
   obj.inputCtn = `${obj.input}-ctn`;
+  obj.inputCtnActions = `${obj.inputCtn}-actions`;
+  obj.inputActions = `${obj.input}-actions`;
   obj.hideUp = `${obj.main}-hide-up`;
   obj.hideDown = `${obj.main}-hide-down`;
   obj.wide = `${obj.main}-wide`;
@@ -4,6 +4,7 @@ import {
 } from '../writeFreeLib.js';
 
 import tbClass from './tbClasses.js';
+import ToolbarButton from './tbButton.js';
 
 
 /*
@@ -23,6 +24,8 @@ import tbClass from './tbClasses.js';
  *
  * @param {HTML Element} $ctn - The containing div for $input and $closeBtn.
  * @param {HTML Element} $input - The text input.
+ * @param {HTML Element} $actions - The container for the buttons shown next to
+ *  the input (see addAction).
  * @param {HTML Element} $closeBtn - The button which closes the input.
  *
  */
@@ -44,9 +47,11 @@ export default {
       [tbClass.inputCtn, tbClass.hideDown],
     );
     this.$input = generateElement('input', tbClass.input, { type: 'text' });
+    this.$actions = generateElement('div', tbClass.inputActions);
     this.$closeBtn = generateButton('<b>&times;</b>', tbClass.btn, true);
 
     this.$ctn.appendChild(this.$input);
+    this.$ctn.appendChild(this.$actions);
     this.$ctn.appendChild(this.$closeBtn);
 
     this.$closeBtn.addEventListener('click', this.hide.bind(this));
@@ -103,6 +108,42 @@ export default {
     this.saveHandler = null;
   },
 
+  /**
+   * addAction - Adds a button next to the input, e.g. to save the value or
+   *  change how it is saved. The input is widened to fit. Actions are removed
+   *  when the input is hidden.
+   *
+   * @param {string} content The content of the button (see ToolbarButton).
+   * @param {string} title The title of the button.
+   * @param {Function} handler The function to call when the button is clicked.
+   *
+   * @returns {ToolbarButton} The newly-created button.
+   */
+  addAction(content, title, handler) {
+    const btn = Object.create(ToolbarButton);
+    btn.init(content, title, handler, this.$actions);
+    this.$ctn.classList.add(tbClass.inputCtnActions);
+    return btn;
+  },
+
+  /**
+   * clearActions - Removes the buttons added with addAction.
+   *
+   */
+  clearActions() {
+    this.$actions.innerHTML = '';
+    this.$ctn.classList.remove(tbClass.inputCtnActions);
+  },
+
+  /**
+   * focus - Puts the focus back in the input, e.g. after an action's button
+   *  was clicked.
+   *
+   */
+  focus() {
+    this.$input.focus();
+  },
+
   /**
    * getValue - Get the value of the input.
    *
@@ -112,6 +153,17 @@ export default {
     return this.$input.value;
   },
 
+  /**
+   * setValue - Sets the value of the input, e.g. to the current value of
+   *  whatever is being edited.
+   *
+   * @param {string} value The new value of the $input.
+   *
+   */
+  setValue(value) {
+    this.$input.value = value;
+  },
+
   /**
    * display - Displays the input by removing hiding class from the input
    *  container and placing the focus in the input. Will also accept an optional
@@ -132,7 +184,8 @@ export default {
     function focusInput() {
       this.$input.focus();
     }
-    setTimeout(focusInput.bind(this), 200);
+    clearTimeout(this.focusTimeout);
+    this.focusTimeout = setTimeout(focusInput.bind(this), 200);
   },
 
   /**
@@ -160,6 +213,8 @@ export default {
     this.$ctn.classList.add(tbClass.hideDown);
     this.$input.value = '';
     this.clearSaveHandler();
+    this.clearActions();
+    this.preventHideOnEnter = false;
     if (this.currentRange) {
       const sel = window.getSelection();
       const range = sel.getRangeAt(0);
@@ -215,4 +270,15 @@ export default {
     $where.appendChild(this.html());
     return $where;
   },
+
+  /**
+   * destroy - Cancels any pending focus of the input and drops its handlers.
+   *
+   */
+  destroy() {
+    clearTimeout(this.focusTimeout);
+    this.clearSaveHandler();
+    this.hideCallback = null;
+    this.currentRange = null;
+  },
 };
@@ -0,0 +1,63 @@
+/**
+ * imageFiles - Finds the image files held by the given DataTransfer, as given
+ *  by a drop or paste event.
+ *
+ * @param {DataTransfer} dataTransfer The DataTransfer to search.
+ *
+ * @returns {File[]} The image files, which may be none.
+ */
+export function imageFiles(dataTransfer) {
+  if (!dataTransfer || !dataTransfer.files) return [];
+  return Array.from(dataTransfer.files).filter(file => /^image\//.test(file.type));
+}
+
+/**
+ * readDataURL - Reads the given file into a data URL.
+ *
+ * @param {File} file The file to read.
+ * @param {Function} progress Called with the fraction of the file read so far.
+ *
+ * @returns {Promise} Resolves to the data URL, or rejects if the file can't
+ *  be read.
+ */
+function readDataURL(file, progress) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onprogress = (e) => {
+      if (e.lengthComputable) progress(e.loaded / e.total);
+    };
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * uploadFile - Uploads the given image file using options.uploadImage. Without
+ *  an uploader, files no larger than options.imageDataURLLimit (in bytes) are
+ *  read into data URLs instead.
+ *
+ * @param {File} file The image file to upload.
+ * @param {Object} options The initialization options provided by the user.
+ * @param {Function} progress Called with the fraction of the upload done so
+ *  far, a number from 0 to 1.
+ *
+ * @returns {Promise} Resolves to the URL of the uploaded image, or rejects
+ *  with an Error if it couldn't be uploaded.
+ */
+export default function uploadFile(file, options, progress) {
+  if (typeof options.uploadImage === 'function') {
+    // The uploader may throw rather than return a rejected Promise.
+    return new Promise(resolve => resolve(options.uploadImage(file, progress)))
+      .then((url) => {
+        if (typeof url !== 'string' || url.length === 0) {
+          throw new Error('The uploader did not return a URL.');
+        }
+        return url;
+      });
+  }
+  if (file.size > options.imageDataURLLimit) {
+    return Promise.reject(new Error('The image is too large to insert.'));
+  }
+  return readDataURL(file, progress);
+}
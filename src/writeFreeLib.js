@@ -162,6 +162,87 @@ export function validateURL(url) {
   return returnVal;
 }
 
+/**
+ * isSafeURL - Determines whether the given URL may be used as a link or image
+ *  source. Relative URLs are always allowed; absolute URLs must use one of
+ *  the given schemes.
+ *
+ * @param {string} url The URL to test.
+ * @param {string[]} [schemes=['http', 'https', 'mailto']] The allowed
+ *  schemes.
+ *
+ * @returns {boolean} Returns true if the URL is safe else false.
+ */
+export function isSafeURL(url, schemes = ['http', 'https', 'mailto']) {
+  // Browsers ignore whitespace and control characters in a URL's scheme.
+  const stripped = Array.from(String(url)).filter(char => char.charCodeAt(0) > 32).join('');
+  const scheme = stripped.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  if (!scheme) return true;
+  return schemes.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * captionText - Returns the text of the caption (figcaption) within the
+ *  given element, e.g. an image's container section, with its whitespace
+ *  collapsed.
+ *
+ * @param {Element} $el The element holding the caption.
+ *
+ * @returns {string} The caption's text, or an empty string if there is none.
+ */
+export function captionText($el) {
+  const $caption = $el.querySelector('figcaption');
+  return $caption ? $caption.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * isImageDataURL - Determines whether the given URL is a data URL holding an
+ *  image, such as those inserted when images are uploaded without an
+ *  uploader.
+ *
+ * @param {string} url The URL to test.
+ *
+ * @returns {boolean} Returns true if the URL is an image data URL else false.
+ */
+export function isImageDataURL(url) {
+  return /^data:image\/[a-z0-9.+-]+(?:;[^,]*)?,/i.test(String(url));
+}
+
+// Matches URLs within plain text: anything beginning with http://, https://
+// or www. up to the next whitespace, less any trailing punctuation.
+const urlPattern = /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?'()[\]{}]/gi;
+
+/**
+ * findURLs - Finds the URLs within the given plain text.
+ *
+ * @param {string} text The text to search.
+ *
+ * @returns {Object[]} The URLs found, each as { url, index } where index is
+ *  the position of the URL within the text.
+ */
+export function findURLs(text) {
+  const urls = [];
+  let match = urlPattern.exec(text);
+  while (match) {
+    urls.push({ url: match[0], index: match.index });
+    match = urlPattern.exec(text);
+  }
+  return urls;
+}
+
+/**
+ * isURL - Determines whether the given text is a single URL and nothing else
+ *  (see findURLs).
+ *
+ * @param {string} text The text to test.
+ *
+ * @returns {boolean} Returns true if the text is a URL else false.
+ */
+export function isURL(text) {
+  const urls = findURLs(text);
+  return urls.length === 1 && urls[0].url === text;
+}
+
 /**
  * findParentBlock - Finds the nearest ancestor of the given element which is
  *  of the types listed in parentTags.
@@ -173,7 +254,7 @@ export function validateURL(url) {
  *  returns the found HTML Element.
  */
 export function findParentBlock($el) {
-  const blockTags = ['DIV', 'P', 'H1', 'H2'];
+  const blockTags = ['DIV', 'P', 'H1', 'H2', 'BLOCKQUOTE', 'PRE', 'LI'];
   let $returnEl = $el;
   while (!blockTags.includes($returnEl.tagName)) {
     $returnEl = $returnEl.parentNode;
@@ -181,6 +262,28 @@ export function findParentBlock($el) {
   return $returnEl;
 }
 
+/**
+ * isList - Determines whether the given node is a list (ul or ol).
+ *
+ * @param {Node} node The node to test.
+ *
+ * @returns {boolean} Returns true if the node is a list else false.
+ */
+export function isList(node) {
+  return Boolean(node) && (node.tagName === 'UL' || node.tagName === 'OL');
+}
+
+/**
+ * findSublist - Finds the list nested within the given list item.
+ *
+ * @param {Element} $li The list item to search.
+ *
+ * @returns {Element || null} The nested list or null if there is none.
+ */
+export function findSublist($li) {
+  return Array.from($li.children).find(isList) || null;
+}
+
 /**
  * findNodeType - Finds a node of the given targetType. This function will
  *  first check the given node's parent, then itself, then its children. If no
@@ -245,3 +348,111 @@ export function collapseSelectionToRange(sel, range, toStart = false) {
   sel.removeAllRanges();
   sel.addRange(range);
 }
+
+/**
+ * debounce - Creates a function which delays calling the given function until
+ *  the given number of milliseconds have passed since it was last called. The
+ *  returned function has a cancel method which drops any pending call.
+ *
+ * @param {Function} fn   The function to debounce.
+ * @param {number} [wait=0] The number of milliseconds to wait.
+ *
+ * @returns {Function} The debounced function.
+ */
+export function debounce(fn, wait = 0) {
+  let timeout = null;
+  function debounced(...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timeout = null;
+      fn(...args);
+    }, wait);
+  }
+  debounced.cancel = function cancel() {
+    clearTimeout(timeout);
+    timeout = null;
+  };
+  return debounced;
+}
+
+/**
+ * nodePath - Returns the path from the given root to the given node as a list
+ *  of child indices.
+ *
+ * @param {Node} root The node at which the path starts.
+ * @param {Node} node The node at which the path ends.
+ *
+ * @returns {number[] || null} The path, or null if node isn't inside root.
+ */
+export function nodePath(root, node) {
+  const path = [];
+  let current = node;
+  while (current && current !== root) {
+    if (!current.parentNode) return null;
+    path.unshift(Array.prototype.indexOf.call(current.parentNode.childNodes, current));
+    current = current.parentNode;
+  }
+  return current === root ? path : null;
+}
+
+/**
+ * followPath - Returns the node at the end of the given path (see nodePath).
+ *
+ * @param {Node} root The node at which the path starts.
+ * @param {number[]} path The path to follow.
+ *
+ * @returns {Node || null} The node, or null if the path doesn't exist.
+ */
+export function followPath(root, path) {
+  if (!Array.isArray(path)) return null;
+  return path.reduce((node, index) => (node ? node.childNodes[index] || null : null), root);
+}
+
+/**
+ * saveSelection - Saves the current selection as paths relative to the given
+ *  root so it can be restored once the root's contents have been replaced by
+ *  an identical copy.
+ *
+ * @param {Element} root The element containing the selection.
+ *
+ * @returns {Object || null} The saved selection, or null if the selection
+ *  isn't inside the root.
+ */
+export function saveSelection(root) {
+  const sel = window.getSelection();
+  if (
+    sel.rangeCount === 0
+    || !root.contains(sel.anchorNode)
+    || !root.contains(sel.focusNode)
+  ) {
+    return null;
+  }
+  return {
+    anchorPath: nodePath(root, sel.anchorNode),
+    anchorOffset: sel.anchorOffset,
+    focusPath: nodePath(root, sel.focusNode),
+    focusOffset: sel.focusOffset,
+  };
+}
+
+/**
+ * restoreSelection - Restores a selection saved by saveSelection.
+ *
+ * @param {Element} root The element the selection was saved relative to.
+ * @param {Object} saved The saved selection.
+ *
+ * @returns {boolean} Returns true if the selection was restored else false.
+ */
+export function restoreSelection(root, saved) {
+  if (!saved) return false;
+  const anchorNode = followPath(root, saved.anchorPath);
+  const focusNode = followPath(root, saved.focusPath);
+  if (!anchorNode || !focusNode) return false;
+  const sel = window.getSelection();
+  try {
+    sel.setBaseAndExtent(anchorNode, saved.anchorOffset, focusNode, saved.focusOffset);
+  } catch (exception) {
+    sel.collapse(anchorNode, 0);
+  }
+  return true;
+}